@@ -1,10 +1,19 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, safeStorage } = require('electron');
 const path = require('node:path');
 const { spawn } = require('node:child_process');
 const fs = require('node:fs');
+const crypto = require('node:crypto');
 const git = require('isomorphic-git');
-const http = require('isomorphic-git/http/node');
 const RegistryClient = require('./utils/registry');
+const { hostOf, hostSettings, createAgent } = require('./utils/tls');
+const { updateManifestFile, findImages } = require('./utils/manifest-updater');
+const { createTwoFilesPatch } = require('diff');
+const { operatorName } = require('./utils/commit');
+const DeployLog = require('./utils/deploy-log');
+const { emptyEnvironment, migrateConfig, resolveEnvironment } = require('./utils/environments');
+const SecretStore = require('./utils/secrets');
+const { gitRemote } = require('./utils/git-remote');
+const { publishManifestChange, resetToRemote } = require('./utils/git-publish');
 
 function createWindow() {
     const win = new BrowserWindow({
@@ -31,26 +40,112 @@ app.on('window-all-closed', () => {
 // --- Config Management ---
 const CONFIG_PATH = path.join(app.getPath('userData'), 'config.json');
 
+// Credentials are only ever held here in the main process; see utils/secrets.js
+const secretStore = new SecretStore(path.join(app.getPath('userData'), 'secrets.json'), safeStorage);
+
+// Config as the renderer sees it: no credentials, only which of them are set per environment
+function redactConfig(config) {
+    const storedKeys = secretStore.storedKeys();
+    Object.entries(config.environments).forEach(([name, environment]) => {
+        environment.stored_secrets = storedKeys[name] || [];
+    });
+    return config;
+}
+
+// config.json brought up to the current layout
+function readConfig() {
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    // Configs from before named environments become a single environment
+    migrateConfig(config);
+    // Registries used to default to plain HTTP. Keep configs from before HTTPS became the
+    // default working by allowlisting the hosts they reach on port 80.
+    if (!config.insecure_registries) {
+        config.insecure_registries = [...new Set(Object.values(config.environments)
+            .flatMap(env => Object.values(env.service_configs || {}))
+            .map(cfg => hostOf(cfg.registry_url))
+            .filter(host => host.endsWith(':80')))];
+    }
+    return config;
+}
+
+// Flat config for one environment with its credentials filled in from the secret store. It is
+// read from config.json, not taken from the renderer, so credentials only ever go to the git
+// and registry hosts saved with them.
+function environmentConfig(name) {
+    if (!fs.existsSync(CONFIG_PATH)) {
+        throw new Error('Save the settings first');
+    }
+    return resolveEnvironment(secretStore.apply(readConfig(), name), name);
+}
+
+// The registry a service deploys to, as saved for the environment (see environmentConfig)
+function serviceRegistry(globalConfig, serviceName) {
+    const registryUrl = ((globalConfig.service_configs || {})[serviceName] || {}).registry_url;
+    if (!registryUrl) {
+        throw new Error(`${serviceName} has no registry configured in ${globalConfig.environment}`);
+    }
+    return registryUrl;
+}
+
 ipcMain.handle('load-config', () => {
     if (fs.existsSync(CONFIG_PATH)) {
-        return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+        const config = readConfig();
+        // Configs from before the secret store kept credentials in plain text. Move them over;
+        // with a master password that has to wait until it is entered.
+        if (secretStore.take(config, { legacy: true }) && !secretStore.status().locked) {
+            secretStore.save();
+            fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+        }
+        return redactConfig(config);
     }
-    return {
-        git_repo_url: '',
-        username: '',
-        password: '',
-        reg_username: '',
-        reg_password: '',
-        service_configs: {
-            "sth-local-api": { registry_url: 'uat-tsn-harbor.xuatnhapcanh.bca:80/sth/sth-api', last_tag: 'v2.0.1' },
-            "sth-local-worker": { registry_url: 'uat-tsn-harbor.xuatnhapcanh.bca:80/sth/sth-worker', last_tag: 'v2.0.1' },
-            "sth-portal-api": { registry_url: '', last_tag: '' },
-            "sth-portal-worker": { registry_url: '', last_tag: '' },
-            "sth-portal-fe": { registry_url: '', last_tag: '' }
+    const services = ['sth-local-api', 'sth-local-worker', 'sth-portal-api', 'sth-portal-worker', 'sth-portal-fe'];
+    const uat = emptyEnvironment('uat', services);
+    uat.service_configs['sth-local-api'] = { registry_url: 'uat-tsn-harbor.xuatnhapcanh.bca:80/sth/sth-api', last_tag: 'v2.0.1' };
+    uat.service_configs['sth-local-worker'] = { registry_url: 'uat-tsn-harbor.xuatnhapcanh.bca:80/sth/sth-worker', last_tag: 'v2.0.1' };
+    return redactConfig({
+        // Git repo, branch, credentials and per-service registry/manifest settings live in each
+        // environment; see utils/environments.js. Empty git_branch = the repo's default branch.
+        active_environment: 'uat',
+        environments: {
+            uat,
+            prod: emptyEnvironment('prod', services)
+        },
+        // Per-host TLS: { "<host>": { scheme, ca_file, cert_file, key_file } }
+        registries: {},
+        insecure_registries: ['uat-tsn-harbor.xuatnhapcanh.bca:80'],
+        // Commit identity and message; placeholders: {service} {tag} {digest} {previous_tag} {environment} {operator}
+        commit_author_name: '',
+        commit_author_email: '',
+        commit_message_template: 'Deploy {service}:{tag}',
+        // '' | 'gpg' (key id) | 'ssh' (private key path)
+        commit_signing: '',
+        commit_signing_key: ''
+    });
+});
+
+// { scheme, locked, initialized } so the renderer knows whether to ask for the master password
+ipcMain.handle('secrets-status', () => secretStore.status());
+
+// Resolves to { success, storedSecrets } or { success: false, error } for a wrong password
+ipcMain.handle('unlock-secrets', (event, masterPassword) => {
+    try {
+        const hadPending = Object.keys(secretStore.pending).length > 0;
+        secretStore.unlock(masterPassword);
+        // Plain-text credentials left in config.json by an older version are now encrypted
+        if (hadPending && fs.existsSync(CONFIG_PATH)) {
+            const config = readConfig();
+            secretStore.take(config);
+            secretStore.save();
+            fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
         }
-    };
+        return { success: true, storedSecrets: secretStore.storedKeys() };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
 });
 
+ipcMain.handle('new-environment', (event, { name, services }) => emptyEnvironment(name, services));
+
 ipcMain.handle('select-file', async () => {
     const { dialog } = require('electron');
     const result = await dialog.showOpenDialog({
@@ -61,9 +156,29 @@ ipcMain.handle('select-file', async () => {
     return result.filePaths[0];
 });
 
+ipcMain.handle('read-archive-tags', async (event, tarPath) => {
+    try {
+        return await new RegistryClient(() => { }).readArchiveTags(tarPath);
+    } catch (err) {
+        return [];
+    }
+});
+
+// Credentials typed in the sidebar arrive here once, go to the secret store and are stripped
+// from what is written to config.json. Resolves to { success, storedSecrets } or, when new
+// credentials cannot be stored while locked, { success: false, error } (the rest is saved).
+// Plain-text credentials of an older config.json stay in it until unlock moves them.
 ipcMain.handle('save-config', (event, config) => {
+    const hasSecrets = secretStore.take(config);
+    secretStore.keepLegacy(config);
     fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
-    return { success: true };
+    try {
+        secretStore.save();
+    } catch (err) {
+        // Locked with nothing new to store: there is nothing to lose
+        if (hasSecrets) return { success: false, error: err.message, storedSecrets: secretStore.storedKeys() };
+    }
+    return { success: true, storedSecrets: secretStore.storedKeys() };
 });
 
 ipcMain.handle('show-popup', (event, { type, title, message }) => {
@@ -77,152 +192,701 @@ ipcMain.handle('show-popup', (event, { type, title, message }) => {
 });
 
 // --- Deployment Logic ---
-ipcMain.on('run-deploy', async (event, { serviceName, tag, registryUrl, globalConfig, tarPath, manifestPath }) => {
-    const win = BrowserWindow.fromWebContents(event.sender);
-    const log = (msg, type = '') => win.webContents.send('log-output', { serviceName, message: msg, type });
-
-    log(`--- Initiating deployment: ${serviceName}:${tag} ---`);
 
-    try {
-        // 1. Prepare Docker Tarball
-        let finalTarPath = tarPath;
-        if (!finalTarPath) {
-            const imagesPath = path.join(process.cwd(), 'images');
-            finalTarPath = path.join(imagesPath, `${serviceName}.tar`);
-        }
+const deployLog = new DeployLog(path.join(app.getPath('userData'), 'deploy-history'));
 
-        if (!fs.existsSync(finalTarPath)) {
-            log(`Error: Tar file not found at ${finalTarPath}`);
-            win.webContents.send('deploy-complete', { serviceName, success: false });
-            return;
-        }
+// Split "host/project/repo" into the registry host and repository path
+function parseRegistryUrl(registryUrl, serviceName) {
+    let regHost = registryUrl;
+    let repoName = serviceName; // Default backup
 
-        // 2. Registry Client Push (No Docker Daemon!)
-        const client = new RegistryClient(log);
+    // Heuristic to split host and repo
+    const parts = registryUrl.split('/');
+    if (parts.length > 1) {
+        regHost = parts[0];
+        repoName = parts.slice(1).join('/'); // "sth/sth-api"
+    }
+    return { regHost, repoName };
+}
 
-        let regHost = registryUrl;
-        let repoName = serviceName; // Default backup
+// Logged-in RegistryClient for a service's registry, with TLS, mount sources and progress wired up
+async function connectRegistry(globalConfig, regHost, repoName, log, onProgress) {
+    // Sibling services on the same registry share base layers, so try mounting from them first
+    const mountFrom = Object.values(globalConfig.service_configs || {})
+        .map(cfg => (cfg.registry_url || '').split('/'))
+        .filter(p => p.length > 1 && p[0] === regHost)
+        .map(p => p.slice(1).join('/'))
+        .filter(repo => repo !== repoName);
+
+    const registryTls = hostSettings(globalConfig, regHost);
+    const client = new RegistryClient(log, {
+        scheme: registryTls.scheme,
+        httpsAgent: createAgent(registryTls),
+        sessionFile: path.join(app.getPath('userData'), 'upload-sessions.json'),
+        mountFrom: [...new Set(mountFrom)],
+        concurrency: parseInt(globalConfig.upload_concurrency, 10) || undefined,
+        onProgress
+    });
 
-        // Heuristic to split host and repo
-        const parts = registryUrl.split('/');
-        if (parts.length > 1) {
-            regHost = parts[0];
-            repoName = parts.slice(1).join('/'); // "sth/sth-api"
-        }
+    log(`--- Authenticating with Registry ---`);
+    log(`Registry: ${regHost}`);
+    log(`Repository: ${repoName}`);
 
-        log(`--- Authenticating with Registry ---`);
-        log(`Registry: ${regHost}`);
-        log(`Repository: ${repoName}`);
+    await client.login(globalConfig.reg_username, globalConfig.reg_password, regHost);
+    return client;
+}
 
-        await client.login(globalConfig.reg_username, globalConfig.reg_password, regHost);
+// Working copies of GitOps repos live under userData and are reused across deploys, one per
+// repo URL. Callers must hold the repo's git lock while using one.
+function cachedRepoDir(repoUrl) {
+    const key = crypto.createHash('sha1').update(repoUrl).digest('hex').substring(0, 12);
+    const name = hostOf(repoUrl).replace(/[^A-Za-z0-9.-]+/g, '_');
+    return path.join(app.getPath('userData'), 'repos', `${name}-${key}`);
+}
 
-        log(`--- Pushing Image to Registry (Docker-less) ---`);
-        await client.pushTarball(finalTarPath, repoName, tag);
+// Failures reaching the Git server, as opposed to a broken working copy. These are not
+// fixed by re-cloning, so they fail the deploy straight away.
+function isGitNetworkError(err) {
+    return ['HttpError', 'SmartHttpError', 'UserCanceledError', 'SshError'].includes(err.code) ||
+        ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'].includes(err.code) ||
+        /CERT|SELF_SIGNED|UNABLE_TO_(GET|VERIFY)/.test(err.code || '');
+}
 
-        // 3. Git Ops (Replaced simple-git with isomorphic-git)
-        const repoDir = path.join(app.getPath('temp'), `repo_${serviceName}_${Date.now()}`);
-        if (fs.existsSync(repoDir)) fs.rmSync(repoDir, { recursive: true, force: true });
+// Bring the cached working copy of the GitOps repo up to date with the remote and check out
+// the configured target branch (git_branch), or the remote's default branch when none is set.
+// The copy is shallow-cloned on first use and re-cloned if it turns out to be corrupt.
+async function openManifestRepo(globalConfig, log) {
+    const repoDir = cachedRepoDir(globalConfig.git_repo_url);
+    const remote = gitRemote(globalConfig, { knownHostsDir: path.join(app.getPath('userData'), 'ssh') });
+    const targetBranch = (globalConfig.git_branch || '').trim() || undefined;
+    const checkout = { repoDir, remote, branch: targetBranch };
+
+    if (fs.existsSync(path.join(repoDir, '.git'))) {
+        log(`--- Updating cached GitOps repo ---`);
+        try {
+            checkout.branch = await resetToRemote(globalConfig, checkout, targetBranch);
+            log(`Target branch: ${checkout.branch}`);
+            return checkout;
+        } catch (err) {
+            if (isGitNetworkError(err)) throw err;
+            log(`Cached repo is unusable (${err.message}), cloning it again...`);
+        }
+    }
 
-        fs.mkdirSync(repoDir, { recursive: true });
+    fs.rmSync(repoDir, { recursive: true, force: true });
+    fs.mkdirSync(repoDir, { recursive: true });
 
-        log(`--- Cloning Git Repo (isomorphic-git) ---`);
-        log(`Clone URL: ${globalConfig.git_repo_url}`);
+    log(`--- Cloning Git Repo (isomorphic-git) ---`);
+    log(`Clone URL: ${globalConfig.git_repo_url}`);
 
+    try {
         await git.clone({
             fs,
-            http,
+            ...remote,
             dir: repoDir,
-            url: globalConfig.git_repo_url,
+            ref: targetBranch,
             depth: 1,
-            singleBranch: true,
-            onAuth: () => ({ username: globalConfig.username, password: globalConfig.password })
+            singleBranch: true
         });
+    } catch (err) {
+        // Don't leave a half-written clone to be mistaken for a usable cache next time
+        fs.rmSync(repoDir, { recursive: true, force: true });
+        throw err;
+    }
 
-        // Identify file to modify
-        let targetFilePathRelative = null;
-
-        if (manifestPath && manifestPath.trim() !== '') {
-            // User provided an specific path relative to repo root
-            const candidate = path.join(repoDir, manifestPath);
-            if (fs.existsSync(candidate)) {
-                if (fs.statSync(candidate).isDirectory()) {
-                    log(`Searching provided directory: ${manifestPath}`);
-                    // Use the base identifying name (e.g. "sth-worker") derived from repoName ("sth/sth-worker")
-                    const identifier = repoName.split('/').pop();
-                    targetFilePathRelative = findYamlFile(candidate, identifier, repoDir);
-                } else {
-                    targetFilePathRelative = manifestPath;
-                }
-            } else {
-                log(`Warning: Configured manifest path '${manifestPath}' not found in repo. Falling back to search.`);
-            }
-        }
+    checkout.branch = targetBranch || await git.currentBranch({ fs, dir: repoDir });
+    log(`Target branch: ${checkout.branch}`);
+    return checkout;
+}
+
+// Git steps of concurrent deploys run one at a time per GitOps repo, so deploys started
+// together from this app queue up instead of racing each other's pushes
+const gitLocks = new Map(); // repo URL -> tail of the queue
+
+function withGitLock(repoUrl, fn) {
+    const previous = gitLocks.get(repoUrl) || Promise.resolve();
+    const run = previous.catch(() => { }).then(fn);
+    const tail = run.catch(() => { });
+    gitLocks.set(repoUrl, tail);
+    // Drop the entry once the queue drains so the map doesn't grow
+    tail.then(() => { if (gitLocks.get(repoUrl) === tail) gitLocks.delete(repoUrl); });
+    return run;
+}
 
-        if (!targetFilePathRelative) {
+// Point each service's manifest at its tag/digest and publish all of it as one commit (see
+// publishManifestChange). `deploys` is [{ serviceName, repoName, tag, digest, manifestPath,
+// pinMode, containerName }]. Returns { files, commit, branch, mergeRequest }, with the
+// manifest file of each deploy in `files`. Nothing is committed (commit is null) when every
+// manifest already points at its image.
+async function updateManifests(globalConfig, deploys, log) {
+    if (gitLocks.has(globalConfig.git_repo_url)) {
+        log(`Waiting for another deploy to finish with the GitOps repo...`);
+    }
+    return withGitLock(globalConfig.git_repo_url, async () => {
+        const checkout = await openManifestRepo(globalConfig, log);
+        const { repoDir } = checkout;
+
+        const targets = deploys.map(({ repoName, tag, digest, manifestPath, pinMode, containerName }) => {
             // Use the base identifying name (e.g. "sth-worker") derived from repoName ("sth/sth-worker")
             const identifier = repoName.split('/').pop();
-            log(`Looking for YAML containing "${identifier}"...`);
-            targetFilePathRelative = findYamlFile(repoDir, identifier, repoDir);
-        }
-
-        if (!targetFilePathRelative) {
-            log(`Error: Could not find YAML for ${serviceName}`);
-            throw new Error('YAML not found');
+            return {
+                file: locateManifest(repoDir, manifestPath, identifier, log),
+                options: { identifier, tag, digest, pinMode, container: containerName || null }
+            };
+        });
+        // Services sharing a values file are edited one after the other in the same file
+        const applyEdit = () => targets.map(({ file, options }) => applyManifestUpdate(repoDir, file, options, log));
+        const changes = applyEdit();
+        const files = targets.map(t => t.file);
+        if (changes.every(c => c.length === 0)) {
+            log(`Manifests already up to date, nothing to commit.`);
+            return { files, commit: null, branch: checkout.branch, mergeRequest: null };
         }
 
-        log(`Modifying file: ${targetFilePathRelative}`);
-        const fullYamlPath = path.join(repoDir, targetFilePathRelative);
+        // Commit & Push
+        log(`--- Committing and Pushing ---`);
+        const published = await publishManifestChange(globalConfig, checkout, [...new Set(files)], applyEdit,
+            deploys.map(({ serviceName, tag, digest }, index) => ({ serviceName, tag, digest, changes: changes[index] })), log);
+        return { files, ...published };
+    });
+}
 
-        // Use identifier for update if we derived it, or just serviceName/repo suffix
-        const identifier = repoName.split('/').pop();
-        updateYaml(fullYamlPath, identifier, tag);
+// Point the service's manifest at tag/digest and publish the change.
+// Returns { file, commit, branch, mergeRequest }.
+async function updateGitOps(globalConfig, deploy, log) {
+    const { files, ...published } = await updateManifests(globalConfig, [deploy], log);
+    return { file: files[0], ...published };
+}
 
-        log(`Updated image tag to ${tag} in ${targetFilePathRelative}`);
+// How many commits of the target branch are fetched to build a service's deploy history
+const HISTORY_DEPTH = 200;
 
-        // Commit & Push
-        log(`--- Committing and Pushing ---`);
-        await git.add({ fs, dir: repoDir, filepath: targetFilePathRelative });
+// Past deploys of a service, newest first, read from the git log of its manifest file:
+// [{ commit, date, author, message, tag, digest }]. A commit only counts when it changed
+// the service's image, so edits to other keys in a shared values file are skipped.
+async function readDeployHistory(globalConfig, { repoName, manifestPath, containerName }, log) {
+    return withGitLock(globalConfig.git_repo_url, async () => {
+        const checkout = await openManifestRepo(globalConfig, log);
+        const { repoDir, remote, branch } = checkout;
+        const identifier = repoName.split('/').pop();
+        const filepath = locateManifest(repoDir, manifestPath, identifier, log);
+        const gitPath = filepath.split(path.sep).join('/');
 
-        await git.commit({
+        // The cached copy is shallow; deepen it far enough to see past deploys
+        await git.fetch({
             fs,
+            ...remote,
             dir: repoDir,
-            message: `Deploy ${serviceName}:${tag}`,
-            author: {
-                name: globalConfig.username || 'STH Deployer',
-                email: 'deployer@example.com'
+            remote: 'origin',
+            ref: branch,
+            depth: HISTORY_DEPTH,
+            singleBranch: true,
+            tags: false
+        });
+        const remoteHead = await git.resolveRef({ fs, dir: repoDir, ref: `refs/remotes/origin/${branch}` });
+        const commits = await git.log({ fs, dir: repoDir, ref: remoteHead, filepath: gitPath, force: true });
+
+        const entries = [];
+        for (const { oid, commit } of commits) {
+            let image = null;
+            try {
+                const { blob } = await git.readBlob({ fs, dir: repoDir, oid, filepath: gitPath });
+                image = findImages(Buffer.from(blob).toString('utf8'), { identifier, container: containerName || null })[0];
+            } catch (err) {
+                // File missing or unreadable at this revision
             }
+            if (!image || (!image.tag && !image.digest)) continue;
+            entries.push({
+                commit: oid,
+                date: new Date(commit.committer.timestamp * 1000).toISOString(),
+                author: commit.author.name,
+                message: commit.message.split('\n')[0],
+                tag: image.tag,
+                digest: image.digest
+            });
+        }
+
+        // Keep the oldest commit of each run of identical images: that is the deploy
+        const deploys = entries.filter((entry, index) => {
+            const older = entries[index + 1];
+            return !older || older.tag !== entry.tag || older.digest !== entry.digest;
         });
+        return { file: filepath, entries: deploys };
+    });
+}
 
-        log(`Committed: Deploy ${serviceName}:${tag}`);
+// Find the YAML to modify: the configured path (file or directory), else a search of the repo
+function locateManifest(repoDir, manifestPath, identifier, log) {
+    let targetFilePathRelative = null;
+
+    if (manifestPath && manifestPath.trim() !== '') {
+        // User provided an specific path relative to repo root
+        const candidate = path.join(repoDir, manifestPath);
+        if (fs.existsSync(candidate)) {
+            if (fs.statSync(candidate).isDirectory()) {
+                log(`Searching provided directory: ${manifestPath}`);
+                targetFilePathRelative = findYamlFile(candidate, identifier, repoDir);
+            } else {
+                targetFilePathRelative = manifestPath;
+            }
+        } else {
+            log(`Warning: Configured manifest path '${manifestPath}' not found in repo. Falling back to search.`);
+        }
+    }
 
-        await git.push({
-            fs,
-            http,
-            dir: repoDir,
-            remote: 'origin',
-            ref: 'main', // Assuming main branch
-            onAuth: () => ({ username: globalConfig.username, password: globalConfig.password })
+    if (!targetFilePathRelative) {
+        log(`Looking for YAML containing "${identifier}"...`);
+        targetFilePathRelative = findYamlFile(repoDir, identifier, repoDir);
+    }
+
+    if (!targetFilePathRelative) {
+        throw new Error(`Could not find YAML containing "${identifier}"`);
+    }
+    return targetFilePathRelative;
+}
+
+// Apply the image update to the manifest in the working copy and log the keys it changed.
+// No changes means the manifest already points at the image (a redeploy of the same tag);
+// only a manifest without any reference to the image is an error.
+function applyManifestUpdate(repoDir, targetFilePathRelative, options, log) {
+    log(`Modifying file: ${targetFilePathRelative}`);
+    const fullPath = path.join(repoDir, targetFilePathRelative);
+    const { changes } = updateManifestFile(fullPath, options);
+
+    if (changes.length === 0) {
+        if (findImages(fs.readFileSync(fullPath, 'utf8'), options).length === 0) {
+            throw new Error(`No image reference for ${options.identifier} found in ${targetFilePathRelative}`);
+        }
+        log(`${targetFilePathRelative} already points at ${options.identifier}:${options.tag}, nothing to change.`);
+        return changes;
+    }
+    log(`Updated ${changes.length} key(s) in ${targetFilePathRelative}:`);
+    changes.forEach(c => log(`  ${c.path}: ${c.from === undefined ? '(new)' : c.from === null ? '(empty)' : c.from} -> ${c.to === undefined ? '(removed)' : c.to}`));
+    return changes;
+}
+
+function resolveTarPath(tarPath, serviceName) {
+    if (tarPath) return tarPath;
+    const imagesPath = path.join(process.cwd(), 'images');
+    return path.join(imagesPath, `${serviceName}.tar`);
+}
+
+function logError(log, err) {
+    if (err.response) {
+        log(`Details: ${JSON.stringify(err.response.data || err.response.statusText)}`);
+    } else if (err.data) {
+        // Isomorphic git often puts errors in data
+        log(`Details: ${JSON.stringify(err.data)}`);
+    } else if (err.constructor !== Error) {
+        // Plain Errors are our own messages, already logged in full. Anything else (a
+        // TypeError, a library error without details) may be a bug, so keep its stack.
+        console.error(err);
+    }
+}
+
+// Environments flagged confirm_deploys (prod) only take deploys the operator confirmed in the
+// dialog below. Checked here too so a renderer bug can't skip the question.
+function requireConfirmation(globalConfig, confirmed) {
+    if (globalConfig.confirm_deploys && !confirmed) {
+        throw new Error(`Deploys to ${globalConfig.environment} need explicit confirmation`);
+    }
+}
+
+// Ask before changing an environment that requires confirmation. Resolves to true to go ahead.
+const CONFIRM_WORDING = {
+    deploy: { verb: 'Deploy', preposition: 'at' },
+    rollback: { verb: 'Roll back', preposition: 'to' },
+    promote: { verb: 'Promote', preposition: 'at' },
+    release: { verb: 'Release', preposition: 'at' }
+};
+
+ipcMain.handle('confirm-deploy', async (event, { environment, action, serviceName, tag, sourceEnvironment }) => {
+    const { dialog } = require('electron');
+    const { verb, preposition } = CONFIRM_WORDING[action] || CONFIRM_WORDING.deploy;
+    const from = sourceEnvironment ? ` from ${sourceEnvironment.toUpperCase()}` : '';
+    const { response } = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+        type: 'warning',
+        title: `Confirm ${environment.toUpperCase()} ${action}`,
+        message: `${verb} ${serviceName}${tag ? ` ${preposition} ${tag}` : ''}${from} in ${environment.toUpperCase()}?`,
+        detail: 'This environment requires explicit confirmation for every deploy.',
+        buttons: ['Cancel', `${verb} to ${environment.toUpperCase()}`],
+        defaultId: 0,
+        cancelId: 0
+    });
+    return response === 1;
+});
+
+// Placeholder shown in previews of digest-pinned manifests; the real digest only exists after the push
+const PREVIEW_DIGEST = 'sha256:<digest after push>';
+
+// Dry run: check the archive and registry, apply the YAML change in the cached GitOps repo and
+// return a unified diff. Nothing is pushed to the registry or git; the edit is undone right away.
+ipcMain.handle('preview-deploy', async (event, { serviceName, tag, extraTags, environment, tarPath, manifestPath, pinMode, containerName }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const log = (msg, type = '') => win.webContents.send('log-output', { serviceName, message: msg, type });
+    const warnings = [];
+
+    log(`--- Previewing deployment: ${serviceName}:${tag} (${environment}) ---`);
+
+    try {
+        const globalConfig = environmentConfig(environment);
+        const finalTarPath = resolveTarPath(tarPath, serviceName);
+        if (!fs.existsSync(finalTarPath)) {
+            throw new Error(`Tar file not found at ${finalTarPath}`);
+        }
+
+        const { regHost, repoName } = parseRegistryUrl(serviceRegistry(globalConfig, serviceName), serviceName);
+        const client = await connectRegistry(globalConfig, regHost, repoName, log);
+
+        const archiveTags = await client.readArchiveTags(finalTarPath);
+        log(`Archive readable. Saved tags: ${archiveTags.join(', ') || '(none)'}`);
+
+        const pushTags = [...new Set([tag, ...(extraTags || [])])];
+        for (const pushTag of pushTags) {
+            const existing = await client.getTagDigest(repoName, pushTag);
+            if (existing) {
+                warnings.push(`${repoName}:${pushTag} already exists (${existing.substring(0, 19)}) and will be overwritten`);
+            }
+        }
+
+        const identifier = repoName.split('/').pop();
+        const preview = await withGitLock(globalConfig.git_repo_url, async () => {
+            const { repoDir } = await openManifestRepo(globalConfig, log);
+            const targetFilePathRelative = locateManifest(repoDir, manifestPath, identifier, log);
+
+            const fullYamlPath = path.join(repoDir, targetFilePathRelative);
+            const before = fs.readFileSync(fullYamlPath, 'utf8');
+            const changes = applyManifestUpdate(repoDir, targetFilePathRelative, {
+                identifier,
+                tag,
+                digest: pinMode && pinMode !== 'tag' ? PREVIEW_DIGEST : null,
+                pinMode,
+                container: containerName || null
+            }, log);
+            const after = fs.readFileSync(fullYamlPath, 'utf8');
+            fs.writeFileSync(fullYamlPath, before);
+            if (changes.length === 0) {
+                warnings.push(`${targetFilePathRelative} already points at ${tag}; deploying only pushes the image`);
+            }
+
+            return {
+                file: targetFilePathRelative,
+                diff: createTwoFilesPatch(`a/${targetFilePathRelative}`, `b/${targetFilePathRelative}`, before, after),
+                changes
+            };
         });
 
+        warnings.forEach(w => log(`Warning: ${w}`));
+        log(`--- Preview ready, waiting for confirmation ---`);
+
+        return { success: true, ...preview, pushTags, warnings };
+    } catch (err) {
+        log(`Error during preview: ${err.message}`);
+        logError(log, err);
+        return { success: false, error: err.message };
+    }
+});
+
+// Push a card's tarball to the service's saved registry and check the registry serves it back.
+// Records the repository and digest on the deploy log run. Returns { repoName, digest }.
+async function pushServiceImage(globalConfig, { serviceName, tag, extraTags, tarPath }, run, log, onProgress) {
+    // 1. Prepare Docker Tarball
+    const finalTarPath = resolveTarPath(tarPath, serviceName);
+
+    if (!fs.existsSync(finalTarPath)) {
+        throw new Error(`Tar file not found at ${finalTarPath}`);
+    }
+
+    // 2. Registry Client Push (No Docker Daemon!)
+    const { regHost, repoName } = parseRegistryUrl(serviceRegistry(globalConfig, serviceName), serviceName);
+    run.set({ repository: `${regHost}/${repoName}` });
+    const client = await connectRegistry(globalConfig, regHost, repoName, log, onProgress);
+
+    // The card tag goes into the manifest repo; extra tags (latest, git SHA...) share the same upload
+    const pushTags = [...new Set([tag, ...(extraTags || [])])];
+
+    log(`--- Pushing Image to Registry (Docker-less) ---`);
+    log(`Tags: ${pushTags.join(', ')}`);
+    const imageDigest = await client.pushTarball(finalTarPath, repoName, pushTags);
+    run.set({ digest: imageDigest });
+
+    // Nothing goes to the GitOps repo unless the registry serves back what we pushed
+    log(`--- Verifying Pushed Image ---`);
+    for (const pushTag of pushTags) {
+        await client.verifyImage(repoName, pushTag, imageDigest);
+    }
+    return { repoName, digest: imageDigest };
+}
+
+ipcMain.on('run-deploy', async (event, { serviceName, tag, extraTags, globalConfig: config, environment, confirmed, tarPath, manifestPath, pinMode, containerName }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const run = deployLog.start({ action: 'deploy', environment, operator: operatorName(config), service: serviceName, tag, extraTags: extraTags || [] });
+    const log = (msg, type = '') => {
+        run.log(msg);
+        win.webContents.send('log-output', { serviceName, message: msg, type });
+    };
+
+    log(`--- Initiating deployment: ${serviceName}:${tag} (${environment}) ---`);
+
+    try {
+        const globalConfig = environmentConfig(environment);
+        requireConfirmation(globalConfig, confirmed);
+
+        const { repoName, digest: imageDigest } = await pushServiceImage(globalConfig,
+            { serviceName, tag, extraTags, tarPath }, run, log,
+            (progress) => win.webContents.send('deploy-progress', { serviceName, ...progress }));
+
+        // 3. Git Ops (Replaced simple-git with isomorphic-git)
+        const published = await updateGitOps(globalConfig, { serviceName, repoName, tag, digest: imageDigest, manifestPath, pinMode, containerName }, log);
+        run.set({ manifestFile: published.file, branch: published.branch, commit: published.commit, mergeRequest: published.mergeRequest });
+
         log(`--- DEPLOYMENT SUCCESSFUL ---`);
-        win.webContents.send('deploy-complete', { serviceName, success: true, tag });
+        const record = await run.finish('success');
+        win.webContents.send('deploy-complete', { serviceName, success: true, tag, mergeRequest: published.mergeRequest, record });
 
     } catch (err) {
         log(`Error during deployment: ${err.message}`);
+        logError(log, err);
 
-        if (err.response) {
-            log(`Details: ${JSON.stringify(err.response.data || err.response.statusText)}`);
-        } else if (err.data) {
-            // Isomorphic git often puts errors in data
-            log(`Details: ${JSON.stringify(err.data)}`);
-        } else {
-            console.error(err);
+        const record = await run.finish('failure', err);
+        win.webContents.send('deploy-complete', { serviceName, success: false, record });
+    }
+});
+
+ipcMain.handle('deploy-history', async (event, { serviceName, environment, manifestPath, containerName }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const log = (msg, type = '') => win.webContents.send('log-output', { serviceName, message: msg, type });
+
+    try {
+        const globalConfig = environmentConfig(environment);
+        const { repoName } = parseRegistryUrl(serviceRegistry(globalConfig, serviceName), serviceName);
+        const history = await readDeployHistory(globalConfig, { repoName, manifestPath, containerName }, log);
+        log(`Found ${history.entries.length} deploy(s) of ${serviceName} in ${history.file}`);
+        return { success: true, ...history };
+    } catch (err) {
+        log(`Error reading deploy history: ${err.message}`);
+        logError(log, err);
+        return { success: false, error: err.message };
+    }
+});
+
+// Rollback: point the manifest back at an earlier tag. Nothing is pushed to the registry, so no
+// tarball is needed, but the image must still be there.
+ipcMain.on('run-rollback', async (event, { serviceName, tag, digest, globalConfig: config, environment, confirmed, manifestPath, pinMode, containerName }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const run = deployLog.start({ action: 'rollback', environment, operator: operatorName(config), service: serviceName, tag });
+    const log = (msg, type = '') => {
+        run.log(msg);
+        win.webContents.send('log-output', { serviceName, message: msg, type });
+    };
+
+    log(`--- Initiating rollback: ${serviceName} -> ${tag} (${environment}) ---`);
+
+    try {
+        const globalConfig = environmentConfig(environment);
+        requireConfirmation(globalConfig, confirmed);
+
+        const { regHost, repoName } = parseRegistryUrl(serviceRegistry(globalConfig, serviceName), serviceName);
+        run.set({ repository: `${regHost}/${repoName}` });
+        const client = await connectRegistry(globalConfig, regHost, repoName, log);
+
+        log(`--- Checking Image in Registry ---`);
+        const tagDigest = await client.getTagDigest(repoName, tag);
+        if (!tagDigest) {
+            throw new Error(`${repoName}:${tag} no longer exists in the registry (deleted or garbage-collected); rebuild and deploy it instead`);
         }
 
-        win.webContents.send('deploy-complete', { serviceName, success: false });
+        // Prefer the digest that was deployed back then. The tag may have been overwritten since.
+        let rollbackDigest = tagDigest;
+        if (digest && digest !== tagDigest) {
+            if (await client.getTagDigest(repoName, digest)) {
+                rollbackDigest = digest;
+                log(`Warning: ${tag} now points to ${tagDigest}, not the ${digest} deployed before.` +
+                    (pinMode === 'tag' ? ' With tag pinning the cluster will pull the current image; pin a digest to get the old one.' : ' Pinning the recorded digest.'));
+            } else {
+                log(`Warning: the previously deployed ${digest} is gone; ${tag} now points to ${tagDigest}.`);
+            }
+        }
+        log(`Image found: ${repoName}:${tag}@${rollbackDigest}`);
+        run.set({ digest: rollbackDigest });
+
+        const published = await updateGitOps(globalConfig, { serviceName, repoName, tag, digest: rollbackDigest, manifestPath, pinMode, containerName }, log);
+        run.set({ manifestFile: published.file, branch: published.branch, commit: published.commit, mergeRequest: published.mergeRequest });
+
+        log(`--- ROLLBACK SUCCESSFUL ---`);
+        const record = await run.finish('success');
+        win.webContents.send('deploy-complete', { serviceName, success: true, tag, mergeRequest: published.mergeRequest, rollback: true, record });
+    } catch (err) {
+        log(`Error during rollback: ${err.message}`);
+        logError(log, err);
+
+        const record = await run.finish('failure', err);
+        win.webContents.send('deploy-complete', { serviceName, success: false, rollback: true, record });
     }
 });
 
+// Promote: copy an image already in another environment's registry to this environment's one,
+// keeping its digest, then update this environment's manifest. No tarball is needed.
+ipcMain.on('run-promote', async (event, { serviceName, tag, sourceEnvironment, globalConfig: config, environment, confirmed, manifestPath, pinMode, containerName }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const run = deployLog.start({ action: 'promote', environment, operator: operatorName(config), service: serviceName, tag });
+    const log = (msg, type = '') => {
+        run.log(msg);
+        win.webContents.send('log-output', { serviceName, message: msg, type });
+    };
+
+    log(`--- Initiating promotion: ${serviceName}:${tag} (${sourceEnvironment} -> ${environment}) ---`);
+
+    try {
+        if (sourceEnvironment === environment) {
+            throw new Error(`Source and target environment are both ${environment}`);
+        }
+        const globalConfig = environmentConfig(environment);
+        const sourceConfig = environmentConfig(sourceEnvironment);
+        requireConfirmation(globalConfig, confirmed);
+
+        const source = parseRegistryUrl(serviceRegistry(sourceConfig, serviceName), serviceName);
+        const { regHost, repoName } = parseRegistryUrl(serviceRegistry(globalConfig, serviceName), serviceName);
+        if (source.regHost === regHost && source.repoName === repoName) {
+            throw new Error(`${sourceEnvironment} and ${environment} use the same repository ${regHost}/${repoName}; deploy the tag instead`);
+        }
+        run.set({ source: `${source.regHost}/${source.repoName}`, repository: `${regHost}/${repoName}` });
+
+        log(`--- Source (${sourceEnvironment}) ---`);
+        const sourceClient = await connectRegistry(sourceConfig, source.regHost, source.repoName, log);
+        log(`--- Target (${environment}) ---`);
+        const client = await connectRegistry(globalConfig, regHost, repoName, log,
+            (progress) => win.webContents.send('deploy-progress', { serviceName, ...progress }));
+
+        if (!await sourceClient.getTagDigest(source.repoName, tag)) {
+            throw new Error(`${source.repoName}:${tag} does not exist in the ${sourceEnvironment} registry`);
+        }
+        const existing = await client.getTagDigest(repoName, tag);
+
+        log(`--- Copying Image ---`);
+        const imageDigest = await client.copyImage(sourceClient, source.repoName, tag, repoName, [tag]);
+        if (existing && existing !== imageDigest) {
+            log(`Warning: ${repoName}:${tag} pointed to ${existing} before and now points to ${imageDigest}.`);
+        }
+        run.set({ digest: imageDigest });
+
+        log(`--- Verifying Promoted Image ---`);
+        await client.verifyImage(repoName, tag, imageDigest);
+
+        const published = await updateGitOps(globalConfig, { serviceName, repoName, tag, digest: imageDigest, manifestPath, pinMode, containerName }, log);
+        run.set({ manifestFile: published.file, branch: published.branch, commit: published.commit, mergeRequest: published.mergeRequest });
+
+        log(`--- PROMOTION SUCCESSFUL ---`);
+        const record = await run.finish('success');
+        win.webContents.send('deploy-complete', { serviceName, success: true, tag, mergeRequest: published.mergeRequest, promote: true, record });
+    } catch (err) {
+        log(`Error during promotion: ${err.message}`);
+        logError(log, err);
+
+        const record = await run.finish('failure', err);
+        win.webContents.send('deploy-complete', { serviceName, success: false, promote: true, record });
+    }
+});
+
+// Release ("Deploy selected"): deploy several cards together. Every image is pushed first, in
+// parallel; only when all of them are in the registry are the manifests updated, in a single
+// commit, so the GitOps repo never holds half a release. Each service gets its own deploy log
+// record, tied together by the release id.
+ipcMain.on('run-release', async (event, { services, globalConfig: config, environment, confirmed }) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    const deploys = services.map(request => {
+        const { serviceName, tag, extraTags } = request;
+        const run = deployLog.start({ action: 'release', environment, operator: operatorName(config), service: serviceName, tag, extraTags: extraTags || [] });
+        const log = (msg, type = '') => {
+            run.log(msg);
+            win.webContents.send('log-output', { serviceName, message: msg, type });
+        };
+        return { request, run, log, error: null };
+    });
+    // The release's own steps show up in the log of every service in it
+    const releaseLog = (msg, type = '') => deploys.forEach(d => d.log(msg, type));
+    const summary = services.map(s => `${s.serviceName}:${s.tag}`).join(', ');
+    const release = deploys.length > 0 ? deploys[0].run.record.id : null;
+    deploys.forEach(d => d.run.set({ release }));
+
+    releaseLog(`--- Initiating release: ${summary} (${environment}) ---`);
+
+    try {
+        if (deploys.length === 0) {
+            throw new Error('No services selected');
+        }
+        const globalConfig = environmentConfig(environment);
+        requireConfirmation(globalConfig, confirmed);
+
+        const pushes = await Promise.allSettled(deploys.map(({ request, run, log }) =>
+            pushServiceImage(globalConfig, request, run, log,
+                (progress) => win.webContents.send('deploy-progress', { serviceName: request.serviceName, ...progress }))));
+        pushes.forEach((push, index) => {
+            if (push.status === 'rejected') deploys[index].error = push.reason;
+        });
+        const failed = deploys.filter(d => d.error);
+        if (failed.length > 0) {
+            failed.forEach(({ log, error }) => {
+                log(`Error pushing image: ${error.message}`);
+                logError(log, error);
+            });
+            throw new Error(`Image push failed for ${failed.map(d => d.request.serviceName).join(', ')}; nothing was committed`);
+        }
+
+        const published = await updateManifests(globalConfig, deploys.map(({ request }, index) => ({
+            serviceName: request.serviceName,
+            repoName: pushes[index].value.repoName,
+            tag: request.tag,
+            digest: pushes[index].value.digest,
+            manifestPath: request.manifestPath,
+            pinMode: request.pinMode,
+            containerName: request.containerName
+        })), releaseLog);
+
+        releaseLog(`--- RELEASE SUCCESSFUL ---`);
+        const results = [];
+        for (const [index, { request, run }] of deploys.entries()) {
+            run.set({ manifestFile: published.files[index], branch: published.branch, commit: published.commit, mergeRequest: published.mergeRequest });
+            const record = await run.finish('success');
+            win.webContents.send('deploy-complete', { serviceName: request.serviceName, success: true, tag: request.tag, mergeRequest: published.mergeRequest, release: true, record });
+            results.push({ serviceName: request.serviceName, tag: request.tag, success: true });
+        }
+        win.webContents.send('release-complete', { success: true, services: results, commit: published.commit, mergeRequest: published.mergeRequest });
+    } catch (err) {
+        releaseLog(`Error during release: ${err.message}`);
+        if (!deploys.some(d => d.error)) logError(releaseLog, err);
+
+        const results = [];
+        for (const { request, run, error } of deploys) {
+            const record = await run.finish('failure', error || err);
+            win.webContents.send('deploy-complete', { serviceName: request.serviceName, success: false, release: true, record });
+            results.push({ serviceName: request.serviceName, tag: request.tag, success: false, error: (error || err).message });
+        }
+        win.webContents.send('release-complete', { success: false, services: results, error: err.message });
+    }
+});
+
+// --- Deploy Audit Log ---
+
+ipcMain.handle('list-deploys', (event, filter) => deployLog.list(filter));
+
+ipcMain.handle('read-deploy-log', (event, id) => deployLog.readLog(id));
+
+// Save the (filtered) records to a file the user picks. Resolves to the path, or null if cancelled.
+ipcMain.handle('export-deploys', async (event, { format, filter }) => {
+    const { dialog } = require('electron');
+    const extension = format === 'csv' ? 'csv' : 'json';
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `deploy-history-${new Date().toISOString().substring(0, 10)}.${extension}`,
+        filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+    });
+    if (result.canceled || !result.filePath) return null;
+
+    const records = await deployLog.list(filter);
+    fs.writeFileSync(result.filePath, await deployLog.export(records, extension));
+    return result.filePath;
+});
+
 function findYamlFile(dir, identifier, baseDir) {
     const files = getAllFiles(dir);
     for (const file of files) {
@@ -253,14 +917,3 @@ function getAllFiles(dirPath, arrayOfFiles) {
 
     return arrayOfFiles;
 }
-
-function updateYaml(filePath, identifier, newTag) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    // Regex: Look for 'image:' followed by anything, then the identifier (sth-worker), then ':', then capture the old tag
-    // User file: image: uat-tsn-harbor.xuatnhapcanh.bca/sth/sth-worker:v2.0.5
-    // Regex: image:\s+.*sth-worker:(.*)
-    const pattern = new RegExp(`(image:\\s+.*${identifier}:)(.*)`, 'g');
-    let newContent = content.replace(pattern, `$1${newTag}`);
-
-    fs.writeFileSync(filePath, newContent);
-}
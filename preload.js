@@ -3,8 +3,24 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
     loadConfig: () => ipcRenderer.invoke('load-config'),
     saveConfig: (config) => ipcRenderer.invoke('save-config', config),
+    secretsStatus: () => ipcRenderer.invoke('secrets-status'),
+    unlockSecrets: (masterPassword) => ipcRenderer.invoke('unlock-secrets', masterPassword),
+    newEnvironment: (name, services) => ipcRenderer.invoke('new-environment', { name, services }),
+    confirmDeploy: (details) => ipcRenderer.invoke('confirm-deploy', details),
     selectFile: () => ipcRenderer.invoke('select-file'),
+    showPopup: (options) => ipcRenderer.invoke('show-popup', options),
+    readArchiveTags: (tarPath) => ipcRenderer.invoke('read-archive-tags', tarPath),
+    previewDeploy: (data) => ipcRenderer.invoke('preview-deploy', data),
     runDeploy: (data) => ipcRenderer.send('run-deploy', data),
+    deployHistory: (data) => ipcRenderer.invoke('deploy-history', data),
+    runRollback: (data) => ipcRenderer.send('run-rollback', data),
+    runPromote: (data) => ipcRenderer.send('run-promote', data),
+    runRelease: (data) => ipcRenderer.send('run-release', data),
+    listDeploys: (filter) => ipcRenderer.invoke('list-deploys', filter),
+    readDeployLog: (id) => ipcRenderer.invoke('read-deploy-log', id),
+    exportDeploys: (options) => ipcRenderer.invoke('export-deploys', options),
     onLog: (callback) => ipcRenderer.on('log-output', (event, msg) => callback(msg)),
-    onDeployComplete: (callback) => ipcRenderer.on('deploy-complete', (event, data) => callback(data))
+    onDeployProgress: (callback) => ipcRenderer.on('deploy-progress', (event, data) => callback(data)),
+    onDeployComplete: (callback) => ipcRenderer.on('deploy-complete', (event, data) => callback(data)),
+    onReleaseComplete: (callback) => ipcRenderer.on('release-complete', (event, data) => callback(data))
 });
@@ -2,37 +2,181 @@ let globalConfig = {};
 let activeService = null;
 const serviceLogs = {}; // { serviceName: [{ msg, type, time }] }
 
+// Settings edited in the sidebar that belong to the active environment (see utils/environments.js)
+const ENVIRONMENT_FIELDS = [
+    'git_repo_url', 'username', 'password',
+    'git_auth', 'git_token_scheme', 'git_ssh_key', 'git_ssh_host_key', 'git_proxy',
+    'git_branch', 'git_deploy_mode', 'git_provider', 'git_api_url', 'git_api_token',
+    'reg_username', 'reg_password'
+];
+const FIELD_DEFAULTS = { git_auth: 'password', git_token_scheme: 'Bearer', git_deploy_mode: 'push', git_provider: 'gitlab' };
+
+// Credentials never come back from the main process once saved; the inputs only show whether
+// one is stored (env.stored_secrets) and anything typed replaces it
+const SECRET_FIELDS = ['password', 'git_api_token', 'reg_password'];
+const SECRET_PLACEHOLDERS = { git_api_token: 'defaults to Git Pass' };
+
+function activeEnvironment() {
+    return globalConfig.environments[globalConfig.active_environment];
+}
+
 async function init() {
     globalConfig = await window.api.loadConfig();
+    fillSidebar();
 
-    // Fill Sidebar
-    document.getElementById('git_repo_url').value = globalConfig.git_repo_url || '';
-    document.getElementById('username').value = globalConfig.username || '';
-    document.getElementById('password').value = globalConfig.password || '';
+    // Render Services
+    renderServices();
 
-    // NEW: Registry Credentials
-    if (document.getElementById('reg_username')) {
-        document.getElementById('reg_username').value = globalConfig.reg_username || '';
+    const secrets = await window.api.secretsStatus();
+    if (secrets.error) {
+        window.api.showPopup({ type: 'error', title: 'Credentials Unavailable', message: secrets.error });
+    } else if (secrets.locked) {
+        openUnlock(secrets.initialized);
     }
-    if (document.getElementById('reg_password')) {
-        document.getElementById('reg_password').value = globalConfig.reg_password || '';
+}
+
+// Save the config; typed credentials are handed to the main process and dropped from memory here
+async function saveConfig() {
+    const result = await window.api.saveConfig(globalConfig);
+    Object.entries(result.storedSecrets || {}).forEach(([name, keys]) => {
+        const env = globalConfig.environments[name];
+        if (!env) return;
+        SECRET_FIELDS.forEach(field => delete env[field]);
+        env.stored_secrets = keys;
+    });
+    if (!result.success) {
+        window.api.showPopup({ type: 'error', title: 'Credentials Not Saved', message: result.error });
     }
+    return result.success;
+}
 
-    // Render Services
+function fillSidebar() {
+    const env = activeEnvironment();
+
+    // Environment switcher
+    const envSelect = document.getElementById('environment_select');
+    envSelect.innerHTML = '';
+    Object.keys(globalConfig.environments).forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        envSelect.appendChild(option);
+    });
+    envSelect.value = globalConfig.active_environment;
+    document.getElementById('confirm_deploys').checked = !!env.confirm_deploys;
+
+    const badge = document.getElementById('env-badge');
+    badge.textContent = globalConfig.active_environment.toUpperCase();
+    badge.classList.toggle('protected', !!env.confirm_deploys);
+
+    // Git and registry credentials of the environment
+    ENVIRONMENT_FIELDS.forEach(field => {
+        document.getElementById(field).value = env[field] || FIELD_DEFAULTS[field] || '';
+    });
+    SECRET_FIELDS.forEach(field => {
+        document.getElementById(field).placeholder = (env.stored_secrets || []).includes(field)
+            ? '•••••••• saved, type to replace'
+            : SECRET_PLACEHOLDERS[field] || '';
+    });
+
+    // Commits
+    document.getElementById('commit_author_name').value = globalConfig.commit_author_name || '';
+    document.getElementById('commit_author_email').value = globalConfig.commit_author_email || '';
+    document.getElementById('commit_message_template').value = globalConfig.commit_message_template || '';
+    document.getElementById('operator').value = globalConfig.operator || '';
+    document.getElementById('commit_signing').value = globalConfig.commit_signing || '';
+    document.getElementById('commit_signing_key').value = globalConfig.commit_signing_key || '';
+
+    document.getElementById('upload_concurrency').value = globalConfig.upload_concurrency || '';
+
+    // Registry TLS
+    document.getElementById('insecure_registries').value = (globalConfig.insecure_registries || []).join(', ');
+    const registries = globalConfig.registries || {};
+    document.getElementById('registries').value = Object.keys(registries).length ? JSON.stringify(registries, null, 2) : '';
+}
+
+// Copy the sidebar into the config in memory. Returns false (after a popup) if a field is invalid.
+function readSidebar() {
+    const env = activeEnvironment();
+    ENVIRONMENT_FIELDS.forEach(field => {
+        const value = document.getElementById(field).value;
+        env[field] = ['git_branch', 'git_api_url', 'git_ssh_key', 'git_ssh_host_key', 'git_proxy'].includes(field) ? value.trim() : value;
+    });
+    env.confirm_deploys = document.getElementById('confirm_deploys').checked;
+
+    // Commits
+    globalConfig.commit_author_name = document.getElementById('commit_author_name').value.trim();
+    globalConfig.commit_author_email = document.getElementById('commit_author_email').value.trim();
+    globalConfig.commit_message_template = document.getElementById('commit_message_template').value;
+    globalConfig.operator = document.getElementById('operator').value.trim();
+    globalConfig.commit_signing = document.getElementById('commit_signing').value;
+    globalConfig.commit_signing_key = document.getElementById('commit_signing_key').value.trim();
+
+    globalConfig.upload_concurrency = parseInt(document.getElementById('upload_concurrency').value, 10) || null;
+
+    // Registry TLS
+    globalConfig.insecure_registries = document.getElementById('insecure_registries').value
+        .split(/[\s,]+/)
+        .filter(Boolean);
+    const registriesJson = document.getElementById('registries').value.trim();
+    try {
+        globalConfig.registries = registriesJson ? JSON.parse(registriesJson) : {};
+    } catch (err) {
+        window.api.showPopup({ type: 'error', title: 'Invalid TLS Settings', message: `Per-host TLS must be valid JSON: ${err.message}` });
+        return false;
+    }
+    return true;
+}
+
+// Switching keeps what was typed for the environment being left, then shows the new one
+async function switchEnvironment(name) {
+    if (!readSidebar()) {
+        document.getElementById('environment_select').value = globalConfig.active_environment;
+        return;
+    }
+    globalConfig.active_environment = name;
+    await saveConfig();
+    fillSidebar();
     renderServices();
 }
 
+document.getElementById('environment_select').addEventListener('change', (e) => switchEnvironment(e.target.value));
+
+document.getElementById('confirm_deploys').addEventListener('change', (e) => {
+    const badge = document.getElementById('env-badge');
+    badge.classList.toggle('protected', e.target.checked);
+});
+
+document.getElementById('add_environment').addEventListener('click', async () => {
+    const input = document.getElementById('new_environment');
+    const name = input.value.trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+        window.api.showPopup({ type: 'error', title: 'Invalid Name', message: 'Environment names use letters, digits, - and _ (e.g. staging).' });
+        return;
+    }
+    if (globalConfig.environments[name]) {
+        window.api.showPopup({ type: 'error', title: 'Already Exists', message: `Environment ${name} already exists.` });
+        return;
+    }
+
+    // Same services as the current environment, with their settings left blank
+    globalConfig.environments[name] = await window.api.newEnvironment(name, Object.keys(activeEnvironment().service_configs));
+    input.value = '';
+    await switchEnvironment(name);
+});
+
 const serviceFiles = {}; // Store selected tar path per service
 
 function renderServices() {
     const grid = document.getElementById('service_grid');
     grid.innerHTML = '';
 
-    Object.keys(globalConfig.service_configs).forEach(name => {
+    const serviceConfigs = activeEnvironment().service_configs;
+    Object.keys(serviceConfigs).forEach(name => {
         // Initialize logs for this service if not present
         if (!serviceLogs[name]) serviceLogs[name] = [];
 
-        const cfg = globalConfig.service_configs[name];
+        const cfg = serviceConfigs[name];
         const card = document.createElement('div');
         card.className = 'card';
         card.id = `card-${name}`;
@@ -46,7 +190,10 @@ function renderServices() {
 
         card.innerHTML = `
             <div class="status-dot" id="dot-${name}"></div>
-            <h3>${name.toUpperCase()}</h3>
+            <div class="card-title">
+                <input type="checkbox" class="card-select" id="select-${name}" title="Include in Deploy Selected">
+                <h3>${name.toUpperCase()}</h3>
+            </div>
             
             <div class="drop-zone" id="drop-${name}">
                 <p id="label-${name}">Drop .tar or Click to select</p>
@@ -59,18 +206,43 @@ function renderServices() {
             </div>
             <div class="input-group">
                 <label>Deploy Tag</label>
-                <input type="text" id="tag-${name}" value="${cfg.last_tag || ''}" placeholder="vX.X.X">
+                <input type="text" id="tag-${name}" value="${cfg.last_tag || ''}" placeholder="vX.X.X" list="tags-list-${name}">
+                <datalist id="tags-list-${name}"></datalist>
+            </div>
+            <div class="input-group">
+                <label>Extra Tags (Optional)</label>
+                <input type="text" id="extra-tags-${name}" value="${(cfg.extra_tags || []).join(', ')}" placeholder="latest, 3f2a9c1">
             </div>
             <div class="input-group">
                 <label>Manifest Path (Optional)</label>
                 <input type="text" id="path-${name}" value="${cfg.manifest_path || ''}" placeholder="manifests/service/values.yaml">
             </div>
+            <div class="input-group">
+                <label>Container Name (Optional)</label>
+                <input type="text" id="container-${name}" value="${cfg.container_name || ''}" placeholder="only update this container">
+            </div>
+            <div class="input-group">
+                <label>Image Pinning</label>
+                <select id="pin-${name}">
+                    <option value="tag">Tag (repo:tag)</option>
+                    <option value="tag-digest">Tag + digest (repo:tag@sha256:...)</option>
+                    <option value="digest">Digest only (repo@sha256:...)</option>
+                </select>
+            </div>
+            <div class="progress" id="progress-${name}">
+                <div class="progress-track"><div class="progress-bar" id="progress-bar-${name}"></div></div>
+                <div class="progress-meta" id="progress-meta-${name}"></div>
+            </div>
             <div style="display: flex; gap: 10px; margin-top: 5px;">
                 <button class="secondary btn-view-logs" style="flex: 1;">VIEW LOGS</button>
+                <button class="secondary btn-preview" style="flex: 1;">PREVIEW</button>
+                <button class="secondary btn-history" style="flex: 1;">HISTORY</button>
+                <button class="secondary btn-promote" style="flex: 1;">PROMOTE</button>
                 <button class="btn-deploy" style="flex: 1;">DEPLOY NOW</button>
             </div>
         `;
         grid.appendChild(card);
+        document.getElementById(`pin-${name}`).value = cfg.pin_mode || 'tag';
 
         // Bind Events
 
@@ -92,6 +264,34 @@ function renderServices() {
             deployService(name);
         });
 
+        // 4. Preview Button
+        const previewBtn = card.querySelector('.btn-preview');
+        previewBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent card click
+            previewService(name);
+        });
+
+        // 5. History Button
+        const historyBtn = card.querySelector('.btn-history');
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent card click
+            showHistory(name);
+        });
+
+        // 6. Promote Button
+        const promoteBtn = card.querySelector('.btn-promote');
+        promoteBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Prevent card click
+            openPromote(name);
+        });
+
+        // 7. Select for Deploy Selected
+        const selectBox = document.getElementById(`select-${name}`);
+        selectBox.addEventListener('change', () => {
+            card.classList.toggle('selected', selectBox.checked);
+            updateDeploySelected();
+        });
+
         // Setup DND for this zone
         dropZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -114,6 +314,22 @@ function renderServices() {
             }
         });
     });
+    updateDeploySelected();
+}
+
+// Deploy Selected: the checked cards go out as one release (pushed together, one commit)
+let releaseRunning = false;
+
+function selectedServices() {
+    return Object.keys(activeEnvironment().service_configs)
+        .filter(name => document.getElementById(`select-${name}`).checked);
+}
+
+function updateDeploySelected() {
+    const count = selectedServices().length;
+    const button = document.getElementById('deploy-selected');
+    button.textContent = count > 0 ? `DEPLOY SELECTED (${count})` : 'DEPLOY SELECTED';
+    button.disabled = count === 0 || releaseRunning;
 }
 
 function selectService(name) {
@@ -156,7 +372,7 @@ function renderLogsForService(name) {
     term.scrollTop = term.scrollHeight;
 }
 
-function handleFileSelection(serviceName, fullPath) {
+async function handleFileSelection(serviceName, fullPath) {
     if (!fullPath.endsWith('.tar')) {
         log(serviceName, `Error: Please select a .tar file for ${serviceName}`, 'system');
         return;
@@ -165,6 +381,19 @@ function handleFileSelection(serviceName, fullPath) {
     const fileName = fullPath.split('/').pop() || fullPath.split('\\').pop();
     document.getElementById(`file-${serviceName}`).textContent = fileName;
     log(serviceName, `Selected image for ${serviceName}: ${fileName}`);
+
+    // Offer the tags the archive was saved with as suggestions for the deploy tag
+    const archiveTags = await window.api.readArchiveTags(fullPath);
+    const datalist = document.getElementById(`tags-list-${serviceName}`);
+    datalist.innerHTML = '';
+    archiveTags.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        datalist.appendChild(option);
+    });
+    if (archiveTags.length > 0) {
+        log(serviceName, `Archive tags: ${archiveTags.join(', ')}`);
+    }
 }
 
 async function triggerFilePicker(serviceName) {
@@ -175,29 +404,56 @@ async function triggerFilePicker(serviceName) {
 }
 
 document.getElementById('save_global').addEventListener('click', async () => {
-    globalConfig.git_repo_url = document.getElementById('git_repo_url').value;
-    globalConfig.username = document.getElementById('username').value;
-    globalConfig.password = document.getElementById('password').value;
+    if (!readSidebar()) return;
 
-    // NEW: Registry Credentials
-    globalConfig.reg_username = document.getElementById('reg_username').value;
-    globalConfig.reg_password = document.getElementById('reg_password').value;
-
-    await window.api.saveConfig(globalConfig);
+    if (!await saveConfig()) return;
+    fillSidebar();
     // Log this globally or to active service? Let's just alert
-    window.api.showPopup({ type: 'info', title: 'Saved', message: 'Global settings saved.' });
+    window.api.showPopup({ type: 'info', title: 'Saved', message: `Settings saved (${globalConfig.active_environment}).` });
 });
 
-async function deployService(name) {
+// Read a card's inputs into the deploy payload, or null (with a popup) if required fields are missing
+function collectDeployRequest(name, { requireTag = true } = {}) {
     const registryUrl = document.getElementById(`reg-${name}`).value;
     const tag = document.getElementById(`tag-${name}`).value;
     const manifestPath = document.getElementById(`path-${name}`).value;
+    const pinMode = document.getElementById(`pin-${name}`).value;
+    const containerName = document.getElementById(`container-${name}`).value.trim();
+    const extraTags = document.getElementById(`extra-tags-${name}`).value
+        .split(/[\s,]+/)
+        .filter(t => t && t !== tag);
 
-    if (!registryUrl || !tag) {
-        window.api.showPopup({ type: 'error', title: 'Missing Info', message: `Registry URL and Tag required for ${name}` });
-        return;
+    if (!registryUrl || (requireTag && !tag)) {
+        window.api.showPopup({ type: 'error', title: 'Missing Info', message: `Registry URL${requireTag ? ' and Tag' : ''} required for ${name}` });
+        return null;
     }
 
+    return {
+        serviceName: name,
+        tag: tag,
+        extraTags: extraTags,
+        registryUrl: registryUrl,
+        globalConfig: globalConfig,
+        environment: globalConfig.active_environment,
+        tarPath: serviceFiles[name] || null,
+        manifestPath: manifestPath, // Pass explicit path
+        pinMode: pinMode,
+        containerName: containerName
+    };
+}
+
+// Environments flagged confirm_deploys (prod) ask before every deploy or rollback
+async function confirmDeploy(action, name, tag) {
+    if (!activeEnvironment().confirm_deploys) return true;
+    return window.api.confirmDeploy({ environment: globalConfig.active_environment, action, serviceName: name, tag });
+}
+
+async function deployService(name) {
+    const request = collectDeployRequest(name);
+    if (!request) return;
+    if (!await confirmDeploy('deploy', name, request.tag)) return;
+    request.confirmed = true;
+
     // Auto-select this service to show its logs
     selectService(name);
 
@@ -205,25 +461,445 @@ async function deployService(name) {
     serviceLogs[name] = [];
     renderLogsForService(name);
 
-    // Update local config but don't save registry credentials per service (they are global in sidebar)
-    globalConfig.service_configs[name].registry_url = registryUrl;
-    globalConfig.service_configs[name].last_tag = tag;
-    globalConfig.service_configs[name].manifest_path = manifestPath;
-    await window.api.saveConfig(globalConfig);
+    rememberCardConfig(request);
+    await saveConfig();
 
     const dot = document.getElementById(`dot-${name}`);
     if (dot) dot.classList.add('active');
+    resetProgress(name);
 
-    window.api.runDeploy({
-        serviceName: name,
-        tag: tag,
-        registryUrl: registryUrl,
+    window.api.runDeploy(request);
+}
+
+// Remember a card's inputs for next time. Registry credentials are not stored per service
+// (they are global in the sidebar).
+function rememberCardConfig(request) {
+    const cfg = activeEnvironment().service_configs[request.serviceName];
+    cfg.registry_url = request.registryUrl;
+    cfg.last_tag = request.tag;
+    cfg.manifest_path = request.manifestPath;
+    cfg.extra_tags = request.extraTags;
+    cfg.pin_mode = request.pinMode;
+    cfg.container_name = request.containerName;
+}
+
+// The main process deploys to the registry saved for a service, so a card's registry is saved
+// before a preview, history lookup, rollback or promote runs against it
+async function saveCardRegistry(request) {
+    activeEnvironment().service_configs[request.serviceName].registry_url = request.registryUrl;
+    await saveConfig();
+}
+
+async function deploySelected() {
+    const names = selectedServices();
+    if (names.length === 0 || releaseRunning) return;
+
+    const requests = [];
+    for (const name of names) {
+        const request = collectDeployRequest(name);
+        if (!request) return;
+        requests.push(request);
+    }
+    const summary = requests.map(r => `${r.serviceName}:${r.tag}`).join(', ');
+    if (!await confirmDeploy('release', summary, null)) return;
+
+    // Show the first service's logs; the others fill in behind their cards
+    selectService(names[0]);
+    requests.forEach(request => {
+        const name = request.serviceName;
+        serviceLogs[name] = [];
+        rememberCardConfig(request);
+        const dot = document.getElementById(`dot-${name}`);
+        if (dot) dot.classList.add('active');
+        resetProgress(name);
+    });
+    renderLogsForService(names[0]);
+    await saveConfig();
+
+    releaseRunning = true;
+    updateDeploySelected();
+    window.api.runRelease({
+        services: requests,
         globalConfig: globalConfig,
-        tarPath: serviceFiles[name] || null,
-        manifestPath: manifestPath // Pass explicit path
+        environment: globalConfig.active_environment,
+        confirmed: true
+    });
+}
+
+document.getElementById('deploy-selected').addEventListener('click', deploySelected);
+
+// Deploy Preview (dry run: nothing is pushed or committed until confirmed)
+const previewModal = document.getElementById('preview-modal');
+let previewTarget = null; // service whose preview is open
+
+async function previewService(name) {
+    const request = collectDeployRequest(name);
+    if (!request) return;
+
+    selectService(name);
+    serviceLogs[name] = [];
+    renderLogsForService(name);
+
+    const dot = document.getElementById(`dot-${name}`);
+    if (dot) dot.classList.add('active');
+    await saveCardRegistry(request);
+    const result = await window.api.previewDeploy(request);
+    if (dot) dot.classList.remove('active');
+
+    if (!result.success) {
+        window.api.showPopup({ type: 'error', title: 'Preview Failed', message: `${name}: ${result.error}` });
+        return;
+    }
+    showPreview(name, result);
+}
+
+function showPreview(name, { file, diff, pushTags, warnings }) {
+    previewTarget = name;
+    document.getElementById('preview-title').textContent =
+        `Deploy Preview: ${name} → ${pushTags.join(', ')} (${file})`;
+    document.getElementById('preview-warnings').textContent =
+        warnings.map(w => `⚠ ${w}`).join('\n');
+
+    const diffEl = document.getElementById('preview-diff');
+    diffEl.innerHTML = '';
+    diff.split('\n').forEach(line => {
+        const span = document.createElement('span');
+        if (line.startsWith('+') && !line.startsWith('+++')) span.className = 'add';
+        else if (line.startsWith('-') && !line.startsWith('---')) span.className = 'del';
+        else if (line.startsWith('@@')) span.className = 'hunk';
+        span.textContent = `${line}\n`;
+        diffEl.appendChild(span);
+    });
+
+    previewModal.classList.add('active');
+    overlay.classList.add('active');
+}
+
+function closePreview() {
+    previewTarget = null;
+    previewModal.classList.remove('active');
+    if (!isExpanded) overlay.classList.remove('active');
+}
+
+document.getElementById('preview-cancel').addEventListener('click', closePreview);
+document.getElementById('preview-confirm').addEventListener('click', () => {
+    const name = previewTarget;
+    closePreview();
+    if (name) deployService(name);
+});
+
+// Deploy History & Rollback
+const historyModal = document.getElementById('history-modal');
+
+async function showHistory(name) {
+    const request = collectDeployRequest(name, { requireTag: false });
+    if (!request) return;
+
+    selectService(name);
+    const dot = document.getElementById(`dot-${name}`);
+    if (dot) dot.classList.add('active');
+    await saveCardRegistry(request);
+    const result = await window.api.deployHistory(request);
+    if (dot) dot.classList.remove('active');
+
+    if (!result.success) {
+        window.api.showPopup({ type: 'error', title: 'History Unavailable', message: `${name}: ${result.error}` });
+        return;
+    }
+
+    document.getElementById('history-title').textContent = `Deploy History: ${name} (${result.file})`;
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+    if (result.entries.length === 0) {
+        list.textContent = 'No previous deploys found in the manifest history.';
+    }
+
+    result.entries.forEach((entry, index) => {
+        const row = document.createElement('div');
+        row.className = 'history-entry';
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+        const tagLine = document.createElement('div');
+        tagLine.className = 'history-tag';
+        tagLine.textContent = `${entry.tag || '(digest only)'}${index === 0 ? ' · current' : ''}`;
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = `${new Date(entry.date).toLocaleString()} · ${entry.author} · ${entry.commit.substring(0, 7)}` +
+            `${entry.digest ? ` · ${entry.digest.substring(0, 19)}` : ''} · ${entry.message}`;
+        meta.title = entry.digest || '';
+        info.append(tagLine, meta);
+        row.appendChild(info);
+
+        if (index > 0 && entry.tag) {
+            const button = document.createElement('button');
+            button.textContent = 'ROLLBACK';
+            button.addEventListener('click', () => rollbackService(name, entry));
+            row.appendChild(button);
+        }
+        list.appendChild(row);
+    });
+
+    historyModal.classList.add('active');
+    overlay.classList.add('active');
+}
+
+function closeHistory() {
+    historyModal.classList.remove('active');
+    if (!isExpanded) overlay.classList.remove('active');
+}
+
+document.getElementById('history-close').addEventListener('click', closeHistory);
+
+async function rollbackService(name, entry) {
+    const request = collectDeployRequest(name, { requireTag: false });
+    if (!request) return;
+    if (activeEnvironment().confirm_deploys) {
+        if (!await confirmDeploy('rollback', name, entry.tag)) return;
+        request.confirmed = true;
+    } else if (!confirm(`Roll ${name} back to ${entry.tag} (deployed ${new Date(entry.date).toLocaleString()})?`)) {
+        return;
+    }
+
+    closeHistory();
+    serviceLogs[name] = [];
+    renderLogsForService(name);
+
+    const dot = document.getElementById(`dot-${name}`);
+    if (dot) dot.classList.add('active');
+
+    await saveCardRegistry(request);
+    window.api.runRollback({ ...request, tag: entry.tag, digest: entry.digest });
+}
+
+// Promote (copy an image another environment already runs into this one's registry)
+const promoteModal = document.getElementById('promote-modal');
+let promoteTarget = null; // service whose promote dialog is open
+
+// Environments other than the active one that have a registry set for the service
+function promoteSources(name) {
+    return Object.keys(globalConfig.environments).filter(env => {
+        const cfg = globalConfig.environments[env].service_configs[name];
+        return env !== globalConfig.active_environment && cfg && cfg.registry_url;
+    });
+}
+
+function updatePromoteSource() {
+    const cfg = globalConfig.environments[document.getElementById('promote-source').value].service_configs[promoteTarget];
+    document.getElementById('promote-tag').value = cfg.last_tag || '';
+    document.getElementById('promote-source-info').textContent =
+        `${cfg.registry_url} → ${document.getElementById(`reg-${promoteTarget}`).value}`;
+}
+
+function openPromote(name) {
+    const sources = promoteSources(name);
+    if (sources.length === 0) {
+        window.api.showPopup({ type: 'error', title: 'Nothing to Promote From', message: `No other environment has a registry configured for ${name}.` });
+        return;
+    }
+
+    promoteTarget = name;
+    document.getElementById('promote-title').textContent = `Promote ${name} to ${globalConfig.active_environment}`;
+    const select = document.getElementById('promote-source');
+    select.innerHTML = '';
+    sources.forEach(env => {
+        const option = document.createElement('option');
+        option.value = env;
+        option.textContent = env;
+        select.appendChild(option);
+    });
+    updatePromoteSource();
+
+    promoteModal.classList.add('active');
+    overlay.classList.add('active');
+}
+
+function closePromote() {
+    promoteTarget = null;
+    promoteModal.classList.remove('active');
+    if (!isExpanded) overlay.classList.remove('active');
+}
+
+async function promoteService(name) {
+    const request = collectDeployRequest(name, { requireTag: false });
+    if (!request) return;
+    const sourceEnvironment = document.getElementById('promote-source').value;
+    const tag = document.getElementById('promote-tag').value.trim();
+    if (!tag) {
+        window.api.showPopup({ type: 'error', title: 'Missing Info', message: `Tag required to promote ${name}` });
+        return;
+    }
+    if (activeEnvironment().confirm_deploys) {
+        if (!await window.api.confirmDeploy({ environment: globalConfig.active_environment, action: 'promote', serviceName: name, tag, sourceEnvironment })) return;
+        request.confirmed = true;
+    }
+
+    closePromote();
+    selectService(name);
+    serviceLogs[name] = [];
+    renderLogsForService(name);
+
+    const dot = document.getElementById(`dot-${name}`);
+    if (dot) dot.classList.add('active');
+    resetProgress(name);
+
+    await saveCardRegistry(request);
+    window.api.runPromote({ ...request, tag, extraTags: [], sourceEnvironment });
+}
+
+document.getElementById('promote-source').addEventListener('change', updatePromoteSource);
+document.getElementById('promote-cancel').addEventListener('click', closePromote);
+document.getElementById('promote-confirm').addEventListener('click', () => {
+    if (promoteTarget) promoteService(promoteTarget);
+});
+
+// Master password (credentials file when the OS keychain is not available)
+const unlockModal = document.getElementById('unlock-modal');
+
+function openUnlock(initialized) {
+    document.getElementById('unlock-title').textContent = initialized ? 'Unlock Credentials' : 'Choose a Master Password';
+    document.getElementById('unlock-info').textContent = initialized
+        ? 'Saved git and registry credentials are encrypted with your master password.'
+        : 'No OS keychain is available, so saved credentials are encrypted with a master password. It cannot be recovered if lost.';
+    document.getElementById('unlock-confirm-group').style.display = initialized ? 'none' : '';
+    unlockModal.dataset.initialized = initialized ? '1' : '';
+    unlockModal.classList.add('active');
+    overlay.classList.add('active');
+    document.getElementById('unlock-password').focus();
+}
+
+function closeUnlock() {
+    document.getElementById('unlock-password').value = '';
+    document.getElementById('unlock-password-confirm').value = '';
+    unlockModal.classList.remove('active');
+    if (!isExpanded) overlay.classList.remove('active');
+}
+
+async function unlockSecrets() {
+    const password = document.getElementById('unlock-password').value;
+    if (!unlockModal.dataset.initialized && password !== document.getElementById('unlock-password-confirm').value) {
+        window.api.showPopup({ type: 'error', title: 'Passwords Differ', message: 'The two passwords do not match.' });
+        return;
+    }
+
+    const result = await window.api.unlockSecrets(password);
+    if (!result.success) {
+        window.api.showPopup({ type: 'error', title: 'Unlock Failed', message: result.error });
+        return;
+    }
+    Object.entries(result.storedSecrets).forEach(([name, keys]) => {
+        if (globalConfig.environments[name]) globalConfig.environments[name].stored_secrets = keys;
+    });
+    closeUnlock();
+    fillSidebar();
+}
+
+document.getElementById('unlock-later').addEventListener('click', closeUnlock);
+document.getElementById('unlock-submit').addEventListener('click', unlockSecrets);
+document.getElementById('unlock-password').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') unlockSecrets();
+});
+
+// Deploy Log (persistent audit trail of every deploy, rollback and promotion)
+const auditModal = document.getElementById('audit-modal');
+
+// Filter from the audit view inputs; dates are whole local days
+function auditFilter() {
+    const from = document.getElementById('audit-from').value;
+    const to = document.getElementById('audit-to').value;
+    return {
+        service: document.getElementById('audit-service').value || undefined,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined
+    };
+}
+
+async function openAuditLog() {
+    const serviceSelect = document.getElementById('audit-service');
+    const selected = serviceSelect.value;
+    serviceSelect.innerHTML = '<option value="">All services</option>';
+    const services = new Set(Object.values(globalConfig.environments).flatMap(env => Object.keys(env.service_configs || {})));
+    services.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        serviceSelect.appendChild(option);
+    });
+    serviceSelect.value = selected;
+
+    auditModal.classList.add('active');
+    overlay.classList.add('active');
+    await renderAuditLog();
+}
+
+async function renderAuditLog() {
+    const records = await window.api.listDeploys(auditFilter());
+    const list = document.getElementById('audit-list');
+    const logView = document.getElementById('audit-log');
+    list.innerHTML = '';
+    logView.style.display = 'none';
+
+    if (records.length === 0) {
+        list.textContent = 'No deploys recorded for this filter.';
+        return;
+    }
+
+    records.forEach(record => {
+        const row = document.createElement('div');
+        row.className = `history-entry ${record.result}`;
+        row.style.cursor = 'pointer';
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+        const title = document.createElement('div');
+        title.className = 'history-tag';
+        title.textContent = `${record.result === 'success' ? '✓' : '✗'} ${record.action} ${record.service}:${record.tag}`;
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = [
+            new Date(record.startedAt).toLocaleString(),
+            record.environment,
+            record.operator,
+            formatDuration(record.durationMs / 1000),
+            record.commit && record.commit.substring(0, 7),
+            record.digest && record.digest.substring(0, 19),
+            record.manifestFile,
+            record.error
+        ].filter(Boolean).join(' · ');
+        meta.title = meta.textContent;
+        info.append(title, meta);
+        row.appendChild(info);
+
+        // Click a run to read its full log
+        row.addEventListener('click', async () => {
+            list.querySelectorAll('.history-entry').forEach(r => r.classList.remove('selected'));
+            row.classList.add('selected');
+            logView.textContent = await window.api.readDeployLog(record.id) || '(no log recorded)';
+            logView.style.display = 'block';
+        });
+        list.appendChild(row);
     });
 }
 
+function closeAuditLog() {
+    auditModal.classList.remove('active');
+    if (!isExpanded) overlay.classList.remove('active');
+}
+
+async function exportAuditLog(format) {
+    const filePath = await window.api.exportDeploys({ format, filter: auditFilter() });
+    if (filePath) {
+        window.api.showPopup({ type: 'info', title: 'Exported', message: `Deploy log saved to ${filePath}` });
+    }
+}
+
+document.getElementById('audit-open').addEventListener('click', openAuditLog);
+document.getElementById('audit-close').addEventListener('click', closeAuditLog);
+document.getElementById('audit-export-csv').addEventListener('click', () => exportAuditLog('csv'));
+document.getElementById('audit-export-json').addEventListener('click', () => exportAuditLog('json'));
+['audit-service', 'audit-from', 'audit-to'].forEach(id =>
+    document.getElementById(id).addEventListener('change', renderAuditLog));
+
 // Log Handling
 const terminal = document.getElementById('terminal');
 
@@ -278,7 +954,15 @@ function toggleTerminal() {
 }
 
 expandBtn.addEventListener('click', toggleTerminal);
-overlay.addEventListener('click', toggleTerminal); // Click outside to close
+overlay.addEventListener('click', () => {
+    // Click outside to close
+    if (previewTarget) closePreview();
+    else if (promoteTarget) closePromote();
+    else if (unlockModal.classList.contains('active')) closeUnlock();
+    else if (historyModal.classList.contains('active')) closeHistory();
+    else if (auditModal.classList.contains('active')) closeAuditLog();
+    else toggleTerminal();
+});
 
 // Updated to receive object
 window.api.onLog((payload) => {
@@ -291,24 +975,116 @@ window.api.onLog((payload) => {
     }
 });
 
-window.api.onDeployComplete(({ serviceName, success, tag }) => {
+// Upload Progress
+const uploadStarts = {}; // { serviceName: { time, sent } } first byte-carrying progress event
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.ceil(seconds)}s`;
+    return `${Math.floor(seconds / 60)}m ${Math.ceil(seconds % 60)}s`;
+}
+
+function resetProgress(name) {
+    delete uploadStarts[name];
+    const container = document.getElementById(`progress-${name}`);
+    if (container) container.classList.remove('active');
+    const bar = document.getElementById(`progress-bar-${name}`);
+    if (bar) bar.style.width = '0';
+}
+
+window.api.onDeployProgress(({ serviceName, totalBytes, sentBytes, layers }) => {
+    const container = document.getElementById(`progress-${serviceName}`);
+    if (!container) return;
+    container.classList.add('active');
+
+    const percent = totalBytes > 0 ? Math.min(100, (sentBytes / totalBytes) * 100) : 0;
+    document.getElementById(`progress-bar-${serviceName}`).style.width = `${percent}%`;
+
+    const finished = layers.filter(l => ['exists', 'mounted', 'uploaded'].includes(l.state)).length;
+    const failed = layers.filter(l => l.state === 'failed').length;
+
+    // ETA from the average rate since bytes started flowing (resumed bytes excluded)
+    let eta = '';
+    if (sentBytes > 0 && !uploadStarts[serviceName]) {
+        uploadStarts[serviceName] = { time: Date.now(), sent: sentBytes };
+    }
+    const start = uploadStarts[serviceName];
+    if (start && sentBytes > start.sent && sentBytes < totalBytes) {
+        const rate = (sentBytes - start.sent) / ((Date.now() - start.time) / 1000);
+        eta = ` · ETA ${formatDuration((totalBytes - sentBytes) / rate)}`;
+    }
+
+    document.getElementById(`progress-meta-${serviceName}`).textContent =
+        `${percent.toFixed(0)}% · ${formatBytes(sentBytes)} / ${formatBytes(totalBytes)} · ` +
+        `${finished}/${layers.length} layers${failed ? ` · ${failed} failed` : ''}${eta}`;
+});
+
+window.api.onDeployComplete(({ serviceName, success, tag, mergeRequest, rollback, promote, release, record }) => {
     const dot = document.getElementById(`dot-${serviceName}`);
     if (dot) dot.classList.remove('active');
+    if (success) resetProgress(serviceName);
+    if (record) {
+        log(serviceName, `Recorded in deploy log (${formatDuration(record.durationMs / 1000)}${record.commit ? `, commit ${record.commit.substring(0, 7)}` : ''}).`, 'system');
+    }
+
+    // Services of a release get one summary popup from onReleaseComplete instead
+    if (release) {
+        log(serviceName, success
+            ? `SUCCESS: ${serviceName}:${tag} released${mergeRequest ? `; merge request ${mergeRequest.url || `for ${mergeRequest.branch} updated`}` : ''}.`
+            : `FAILURE: Release of ${serviceName} encountered an error.`, 'system');
+        return;
+    }
 
-    if (success) {
-        log(serviceName, `SUCCESS: ${serviceName}:${tag} deployed flawlessly.`, 'system');
+    if (success && mergeRequest) {
+        log(serviceName, `SUCCESS: ${serviceName}:${tag} pushed; merge request ${mergeRequest.url || `for ${mergeRequest.branch} updated`}.`, 'system');
+        window.api.showPopup({
+            type: 'info',
+            title: 'Merge Request Ready',
+            message: `${serviceName}:${tag} is waiting for review${mergeRequest.url ? `:\n${mergeRequest.url}` : ` on branch ${mergeRequest.branch}`}.`
+        });
+    } else if (success) {
+        log(serviceName, `SUCCESS: ${serviceName}:${tag} ${rollback ? 'rolled back' : promote ? 'promoted' : 'deployed flawlessly'}.`, 'system');
         window.api.showPopup({
             type: 'info',
-            title: 'Deployment Successful',
-            message: `${serviceName}:${tag} has been successfully deployed.`
+            title: rollback ? 'Rollback Successful' : promote ? 'Promotion Successful' : 'Deployment Successful',
+            message: rollback
+                ? `${serviceName} has been rolled back to ${tag}.`
+                : `${serviceName}:${tag} has been successfully ${promote ? 'promoted' : 'deployed'}.`
         });
     } else {
-        log(serviceName, `FAILURE: Deployment of ${serviceName} encountered an error.`, 'system');
+        const action = rollback ? 'Rollback' : promote ? 'Promotion' : 'Deployment';
+        log(serviceName, `FAILURE: ${action} of ${serviceName} encountered an error.`, 'system');
         window.api.showPopup({
             type: 'error',
-            title: 'Deployment Failed',
-            message: `Deployment of ${serviceName} failed. Check logs for details.`
+            title: `${action} Failed`,
+            message: `${action} of ${serviceName} failed. Check logs for details.`
+        });
+    }
+});
+
+window.api.onReleaseComplete(({ success, services, commit, mergeRequest, error }) => {
+    releaseRunning = false;
+    updateDeploySelected();
+
+    const lines = services.map(s => `${s.success ? '✓' : '✗'} ${s.serviceName}:${s.tag}${s.error && s.error !== error ? ` (${s.error})` : ''}`);
+    if (success && mergeRequest) {
+        window.api.showPopup({
+            type: 'info',
+            title: 'Merge Request Ready',
+            message: `The release is waiting for review${mergeRequest.url ? `:\n${mergeRequest.url}` : ` on branch ${mergeRequest.branch}`}.\n\n${lines.join('\n')}`
         });
+    } else if (success) {
+        window.api.showPopup({
+            type: 'info',
+            title: 'Release Successful',
+            message: `${commit ? 'Deployed in one commit' : 'Images pushed; the manifests were already up to date'}:\n\n${lines.join('\n')}`
+        });
+    } else {
+        window.api.showPopup({ type: 'error', title: 'Release Failed', message: `${error}\n\n${lines.join('\n')}\n\nCheck logs for details.` });
     }
 });
 
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn, execFileSync } = require('node:child_process');
+const git = require('isomorphic-git');
+const { gitRemote } = require('../utils/git-remote');
+const { publishManifestChange, GIT_PUSH_ATTEMPTS } = require('../utils/git-publish');
+
+// Smart HTTP git server: `git http-backend` (CGI) over the bare repos in `root`.
+// `beforeReceivePack()` runs when a push starts, before the server advertises its refs, so a
+// test can move the branch under the push the way a deploy from elsewhere would.
+async function startGitServer(root) {
+    const server = { beforeReceivePack: () => { } };
+    server.http = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.searchParams.get('service') === 'git-receive-pack') server.beforeReceivePack();
+        const backend = spawn('git', ['http-backend'], {
+            env: {
+                ...process.env,
+                GIT_PROJECT_ROOT: root,
+                GIT_HTTP_EXPORT_ALL: '1',
+                PATH_INFO: url.pathname,
+                QUERY_STRING: url.search.slice(1),
+                REQUEST_METHOD: req.method,
+                CONTENT_TYPE: req.headers['content-type'] || '',
+                REMOTE_USER: 'deployer',
+                REMOTE_ADDR: '127.0.0.1'
+            }
+        });
+        req.pipe(backend.stdin);
+        let head = Buffer.alloc(0);
+        let streaming = false;
+        backend.stdout.on('data', (chunk) => {
+            if (streaming) return res.write(chunk);
+            head = Buffer.concat([head, chunk]);
+            const end = head.indexOf('\r\n\r\n');
+            if (end === -1) return;
+            streaming = true;
+            head.subarray(0, end).toString().split('\r\n').forEach((line) => {
+                const [name, ...value] = line.split(': ');
+                if (name.toLowerCase() === 'status') res.statusCode = parseInt(value[0], 10);
+                else res.setHeader(name, value.join(': '));
+            });
+            res.write(head.subarray(end + 4));
+        });
+        backend.stdout.on('end', () => res.end());
+    });
+    await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.http.address().port}`;
+    return server;
+}
+
+const IDENTITY = ['-c', 'user.name=Someone Else', '-c', 'user.email=else@example.com'];
+
+test('publishManifestChange', async (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    const server = await startGitServer(root);
+    t.after(() => {
+        server.http.close();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    // "Someone else": a git CLI clone pushing straight to the bare repo
+    const other = path.join(root, 'other');
+    const sh = (...args) => execFileSync('git', args, { cwd: other, stdio: 'pipe' }).toString().trim();
+    const pushFromElsewhere = (file, content) => {
+        fs.writeFileSync(path.join(other, file), content);
+        sh('add', '-A');
+        sh(...IDENTITY, 'commit', '-qm', `Change ${file}`);
+        sh('push', '-q', 'origin', 'main');
+    };
+
+    let count = 0;
+    // A fresh ops.git with deploy.yaml at v1, and a working copy of it as openManifestRepo makes one
+    const setup = async () => {
+        const name = `ops-${++count}`;
+        const bare = path.join(root, `${name}.git`);
+        execFileSync('git', ['init', '-q', '--bare', '-b', 'main', bare]);
+        execFileSync('git', ['-C', bare, 'config', 'http.receivepack', 'true']);
+        fs.rmSync(other, { recursive: true, force: true });
+        execFileSync('git', ['clone', '-q', bare, other], { stdio: 'pipe' });
+        sh('checkout', '-q', '-b', 'main');
+        pushFromElsewhere('deploy.yaml', 'image: sth/sth-api:v1\n');
+
+        const config = { git_repo_url: `${server.url}/${name}.git`, git_deploy_mode: 'push', commit_message_template: 'Deploy {service}:{tag}', commit_author_name: 'Deployer', commit_author_email: 'deployer@example.com' };
+        const repoDir = path.join(root, `${name}-work`);
+        const remote = gitRemote(config);
+        await git.clone({ fs, ...remote, dir: repoDir, ref: 'main', depth: 1, singleBranch: true });
+        return { config, checkout: { repoDir, remote, branch: 'main' } };
+    };
+
+    // The deploy's edit: deploy.yaml from v1 to v2, reporting no change when it already is
+    const editor = (repoDir) => () => {
+        const file = path.join(repoDir, 'deploy.yaml');
+        const content = fs.readFileSync(file, 'utf8');
+        if (content.includes(':v2')) return [[]];
+        fs.writeFileSync(file, content.replace(':v1', ':v2'));
+        return [[{ path: 'image', from: 'sth/sth-api:v1', to: 'sth/sth-api:v2' }]];
+    };
+    const publish = ({ config, checkout }, logs) => {
+        const applyEdit = editor(checkout.repoDir);
+        const deploys = [{ serviceName: 'sth-api', tag: 'v2', digest: null, changes: applyEdit()[0] }];
+        return publishManifestChange(config, checkout, ['deploy.yaml'], applyEdit, deploys, msg => logs.push(msg));
+    };
+    const remoteFile = (file) => {
+        sh('pull', '-q', 'origin', 'main');
+        return fs.readFileSync(path.join(other, file), 'utf8');
+    };
+
+    t.beforeEach(() => { server.beforeReceivePack = () => { }; });
+
+    await t.test('pushes straight to the branch', async () => {
+        const repo = await setup();
+        const logs = [];
+        const published = await publish(repo, logs);
+        assert.strictEqual(published.branch, 'main');
+        assert.strictEqual(published.mergeRequest, null);
+        assert.strictEqual(sh('ls-remote', 'origin', 'main').split('\t')[0], published.commit);
+        assert.strictEqual(remoteFile('deploy.yaml'), 'image: sth/sth-api:v2\n');
+        assert.strictEqual(sh('log', '-1', '--format=%s%n%an'), 'Deploy sth-api:v2\nDeployer');
+    });
+
+    await t.test('re-applies the edit on top of a branch that moved and pushes again', async () => {
+        const repo = await setup();
+        let moved = false;
+        server.beforeReceivePack = () => {
+            if (moved) return;
+            moved = true;
+            pushFromElsewhere('README.md', 'someone else was faster\n');
+        };
+
+        const logs = [];
+        const published = await publish(repo, logs);
+        assert.ok(logs.some(line => line.startsWith(`Push rejected, main has moved on.`) && line.includes(`(attempt 2/${GIT_PUSH_ATTEMPTS})`)), logs.join('\n'));
+        assert.strictEqual(remoteFile('deploy.yaml'), 'image: sth/sth-api:v2\n');
+        assert.strictEqual(remoteFile('README.md'), 'someone else was faster\n');
+        assert.strictEqual(sh('rev-parse', 'HEAD'), published.commit);
+        assert.strictEqual(sh('log', '-1', '--format=%s', 'HEAD~1'), 'Change README.md');
+    });
+
+    await t.test('stops without a commit when the moved branch already has the change', async () => {
+        const repo = await setup();
+        let moved = false;
+        server.beforeReceivePack = () => {
+            if (moved) return;
+            moved = true;
+            pushFromElsewhere('deploy.yaml', 'image: sth/sth-api:v2\n');
+        };
+
+        const logs = [];
+        const published = await publish(repo, logs);
+        assert.deepStrictEqual(published, { commit: null, branch: 'main', mergeRequest: null });
+        assert.ok(logs.includes('The new head already has this change, nothing left to push.'), logs.join('\n'));
+        assert.strictEqual(sh('log', '-1', '--format=%s'), 'Change deploy.yaml');
+    });
+
+    await t.test(`gives up after ${GIT_PUSH_ATTEMPTS} attempts when the branch keeps moving`, async () => {
+        const repo = await setup();
+        let pushes = 0;
+        server.beforeReceivePack = () => pushFromElsewhere('README.md', `push ${++pushes}\n`);
+
+        await assert.rejects(publish(repo, []), new RegExp(`still rejected after ${GIT_PUSH_ATTEMPTS} attempts`));
+        assert.strictEqual(pushes, GIT_PUSH_ATTEMPTS);
+        assert.strictEqual(remoteFile('deploy.yaml'), 'image: sth/sth-api:v1\n');
+    });
+});
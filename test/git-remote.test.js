@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { gitRemote, hostKeyFingerprint } = require('../utils/git-remote');
+
+const HOST_KEY = 'AAAAC3NzaC1lZDI1NTE5AAAAIO7JE34gXyHUw2u+0UzbWORaIChVyM5MVjwQEZB1PpXP';
+const FINGERPRINT = 'SHA256:+VLUhbp1eCwpBsfGgKrk//s/bn+jxcaPppCJtqiYvbU';
+
+const pktLine = text => `${(text.length + 4).toString(16).padStart(4, '0')}${text}`;
+const ADVERTISEMENT = `${pktLine('1111111111111111111111111111111111111111 refs/heads/main\n')}0000`;
+
+// Stand-ins for ssh (through GIT_SSH) and ssh-keyscan (first on PATH), written as shell
+// scripts into a fresh directory. Every ssh run appends its arguments to <dir>/ssh-args.
+function fakeCommands(t, { ssh, keyscan = 'exit 1' }) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    fs.writeFileSync(path.join(dir, 'ssh'), `#!/bin/sh\necho "$@" >> "${dir}/ssh-args"\n${ssh}\n`, { mode: 0o755 });
+    fs.writeFileSync(path.join(dir, 'ssh-keyscan'), `#!/bin/sh\necho "$@" >> "${dir}/keyscan-args"\n${keyscan}\n`, { mode: 0o755 });
+    const previous = { GIT_SSH: process.env.GIT_SSH, PATH: process.env.PATH };
+    process.env.GIT_SSH = path.join(dir, 'ssh');
+    process.env.PATH = `${dir}${path.delimiter}${process.env.PATH}`;
+    t.after(() => {
+        Object.entries(previous).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const lines = name => (fs.existsSync(path.join(dir, name)) ? fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n') : []);
+    return { dir, sshArgs: () => lines('ssh-args'), keyscanArgs: () => lines('keyscan-args') };
+}
+
+const advertise = remote => remote.http.request({ url: `${remote.url}/info/refs?service=git-upload-pack`, method: 'GET' });
+
+test('hostKeyFingerprint matches ssh-keygen -lf', () => {
+    assert.strictEqual(hostKeyFingerprint(HOST_KEY), FINGERPRINT);
+});
+
+test('SSH remotes refuse unknown host keys', async (t) => {
+    const fake = fakeCommands(t, {
+        ssh: 'echo "No ED25519 host key is known for git.local and you have requested strict checking." >&2\necho "Host key verification failed." >&2\nexit 255'
+    });
+
+    const remote = gitRemote({ git_auth: 'ssh', git_repo_url: 'ssh://git@git.local:2222/group/ops.git' });
+    await assert.rejects(advertise(remote), (err) => {
+        assert.strictEqual(err.code, 'SshError');
+        assert.match(err.message, /host key of git\.local is not in known_hosts/);
+        assert.match(err.message, /ssh-keyscan -p 2222 git\.local >> ~\/\.ssh\/known_hosts/);
+        return true;
+    });
+    assert.match(fake.sshArgs()[0], /StrictHostKeyChecking=yes/);
+    assert.doesNotMatch(fake.sshArgs()[0], /accept-new|UserKnownHostsFile/);
+});
+
+test('a pinned host key goes into one known_hosts file that is reused', async (t) => {
+    const fake = fakeCommands(t, {
+        keyscan: `echo "# pinned.local:22 SSH-2.0-OpenSSH"\necho "pinned.local ssh-rsa AAAAB3NzaC1yc2EAAAADAQABAAAAgQC7"\necho "pinned.local ssh-ed25519 ${HOST_KEY}"`,
+        ssh: `printf '%s' '${ADVERTISEMENT}'\ncat > /dev/null`
+    });
+    const knownHostsDir = path.join(fake.dir, 'userData', 'ssh');
+    const config = { git_auth: 'ssh', git_repo_url: 'git@pinned.local:group/ops.git', git_ssh_host_key: FINGERPRINT.replace('SHA256:', '') };
+
+    await advertise(gitRemote(config, { knownHostsDir }));
+    await advertise(gitRemote(config, { knownHostsDir }));
+
+    assert.deepStrictEqual(fs.readdirSync(knownHostsDir), ['known_hosts-pinned.local-22']);
+    const knownHosts = path.join(knownHostsDir, 'known_hosts-pinned.local-22');
+    assert.strictEqual(fs.readFileSync(knownHosts, 'utf8'), `pinned.local ssh-ed25519 ${HOST_KEY}\n`);
+    assert.strictEqual(fake.keyscanArgs().length, 1);
+    fake.sshArgs().forEach(args => assert.match(args, new RegExp(`StrictHostKeyChecking=yes -o UserKnownHostsFile=${knownHosts} `)));
+
+    await assert.rejects(
+        advertise(gitRemote({ ...config, git_ssh_host_key: 'SHA256:somethingElse' }, { knownHostsDir })),
+        /None of the host keys pinned\.local offers has the configured fingerprint SHA256:somethingElse/
+    );
+});
+
+async function collect(body) {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString();
+}
+
+test('SSH GET returns the advertisement behind the header smart HTTP adds', async (t) => {
+    const fake = fakeCommands(t, { ssh: `printf '%s' '${ADVERTISEMENT}'\ncat > /dev/null` });
+
+    const remote = gitRemote({ git_auth: 'ssh', git_repo_url: 'git@git.local:group/ops.git', git_ssh_key: '/keys/deploy' });
+    const response = await advertise(remote);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['content-type'], 'application/x-git-upload-pack-advertisement');
+    assert.strictEqual(await collect(response.body), `${pktLine('# service=git-upload-pack\n')}0000${ADVERTISEMENT}`);
+    assert.match(fake.sshArgs()[0], / -i \/keys\/deploy -o IdentitiesOnly=yes git@git\.local git-upload-pack 'group\/ops\.git'$/);
+});
+
+test('SSH POST sends the request body and streams back the reply', async (t) => {
+    const fake = fakeCommands(t, {
+        ssh: `printf '%s' '${ADVERTISEMENT}'\ncat > "$(dirname "$0")/stdin"\nprintf '%s' '${pktLine('unpack ok\n')}0000'`
+    });
+
+    const remote = gitRemote({ git_auth: 'ssh', git_repo_url: 'ssh://git@git.local:2222/group/ops.git' });
+    const response = await remote.http.request({
+        url: `${remote.url}/git-receive-pack`,
+        method: 'POST',
+        body: [Buffer.from(pktLine('want 1111111111111111111111111111111111111111\n')), Buffer.from('0000')]
+    });
+
+    assert.strictEqual(response.headers['content-type'], 'application/x-git-receive-pack-result');
+    assert.strictEqual(await collect(response.body), `${pktLine('unpack ok\n')}0000`);
+    assert.strictEqual(fs.readFileSync(path.join(fake.dir, 'stdin'), 'utf8'), `${pktLine('want 1111111111111111111111111111111111111111\n')}0000`);
+    assert.match(fake.sshArgs()[0], / -p 2222 git@git\.local git-receive-pack '\/group\/ops\.git'$/);
+});
+
+test('an SSH server that exits with an error after its reply fails the request', async (t) => {
+    fakeCommands(t, {
+        ssh: `printf '%s' '${ADVERTISEMENT}'\ncat > /dev/null\nprintf '%s' '${pktLine('unpack ok\n')}'\necho "fatal: the remote end hung up unexpectedly" >&2\nexit 128`
+    });
+
+    const remote = gitRemote({ git_auth: 'ssh', git_repo_url: 'git@git.local:group/ops.git' });
+    const response = await remote.http.request({ url: `${remote.url}/git-upload-pack`, method: 'POST', body: [Buffer.from('0000')] });
+
+    await assert.rejects(collect(response.body), (err) => {
+        assert.strictEqual(err.code, 'SshError');
+        assert.strictEqual(err.message, 'git-upload-pack on git.local exited with code 128: fatal: the remote end hung up unexpectedly');
+        return true;
+    });
+});
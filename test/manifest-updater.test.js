@@ -0,0 +1,210 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const YAML = require('yaml');
+const { updateManifest, findImages, previousTag, parseImage, imageReference } = require('../utils/manifest-updater');
+
+const DIGEST = `sha256:${'a'.repeat(64)}`;
+const OLD_DIGEST = `sha256:${'b'.repeat(64)}`;
+
+test('raw manifests', async (t) => {
+    const deployment = [
+        'spec:',
+        '  template:',
+        '    spec:',
+        '      containers:',
+        '        - name: api',
+        '          image: harbor:80/sth/sth-api:v1 # pinned by CI',
+        '        - name: exporter',
+        '          image: harbor:80/sth/sth-api-exporter:v1',
+        ''
+    ].join('\n');
+
+    await t.test('updates the image tag and keeps comments', () => {
+        const { content, changes } = updateManifest(deployment, { identifier: 'sth-api', tag: 'v2' });
+        assert.strictEqual(content, deployment.replace('sth-api:v1 #', 'sth-api:v2 #'));
+        assert.deepStrictEqual(changes, [{ path: 'spec.template.spec.containers[0].image', from: 'harbor:80/sth/sth-api:v1', to: 'harbor:80/sth/sth-api:v2' }]);
+        assert.strictEqual(previousTag(changes), 'v1');
+    });
+
+    await t.test('pins digests', () => {
+        const both = updateManifest(deployment, { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'tag-digest' });
+        assert.match(both.content, new RegExp(`image: harbor:80/sth/sth-api:v2@${DIGEST} #`));
+        const only = updateManifest(deployment, { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'digest' });
+        assert.match(only.content, new RegExp(`image: harbor:80/sth/sth-api@${DIGEST} #`));
+        assert.throws(() => updateManifest(deployment, { identifier: 'sth-api', tag: 'v2', pinMode: 'digest' }), /needs the image digest/);
+    });
+
+    await t.test('limits the update to the named container', () => {
+        const pod = 'containers:\n  - name: a\n    image: sth/sth-api:v1\n  - name: b\n    image: sth/sth-api:v1\n';
+        const { content } = updateManifest(pod, { identifier: 'sth-api', tag: 'v2', container: 'b' });
+        assert.strictEqual(content, 'containers:\n  - name: a\n    image: sth/sth-api:v1\n  - name: b\n    image: sth/sth-api:v2\n');
+    });
+
+    await t.test('updates every document of a multi-document file', () => {
+        const { content, changes } = updateManifest('image: sth/sth-api:v1\n---\nimage: sth/sth-api:v1\n', { identifier: 'sth-api', tag: 'v2' });
+        assert.strictEqual(content, 'image: sth/sth-api:v2\n---\nimage: sth/sth-api:v2\n');
+        assert.deepStrictEqual(changes.map(c => c.path), ['[doc 0] image', '[doc 1] image']);
+    });
+});
+
+test('Helm values', async (t) => {
+    const values = 'api:\n  image:\n    repository: harbor/sth/sth-api\n    tag: "v1"\n    pullPolicy: IfNotPresent\n';
+
+    await t.test('updates the tag keeping its quoting', () => {
+        const { content, changes } = updateManifest(values, { identifier: 'sth-api', tag: 'v2' });
+        assert.strictEqual(content, values.replace('"v1"', '"v2"'));
+        assert.deepStrictEqual(changes, [{ path: 'api.image.tag', from: 'v1', to: 'v2' }]);
+    });
+
+    await t.test('adds the digest under the tag', () => {
+        const { content } = updateManifest(values, { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'tag-digest' });
+        assert.strictEqual(content, values.replace('"v1"\n', `"v2"\n    digest: ${DIGEST}\n`));
+    });
+
+    await t.test('keeps the tag current in digest mode', () => {
+        const { content, changes } = updateManifest(values, { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'digest' });
+        assert.strictEqual(content, values.replace('"v1"\n', `"v2"\n    digest: ${DIGEST}\n`));
+        assert.strictEqual(previousTag(changes), 'v1');
+    });
+
+    await t.test('fills in an empty tag', () => {
+        for (const [empty, filled] of [['tag:\n', 'tag: v2\n'], ['tag:', 'tag: v2'], ['tag: # set by CI\n', 'tag: v2 # set by CI\n']]) {
+            const { content, changes } = updateManifest(`image:\n  repository: sth/sth-api\n  ${empty}`, { identifier: 'sth-api', tag: 'v2' });
+            assert.strictEqual(content, `image:\n  repository: sth/sth-api\n  ${filled}`);
+            assert.deepStrictEqual(YAML.parse(content), { image: { repository: 'sth/sth-api', tag: 'v2' } });
+            assert.strictEqual(changes.length, 1);
+        }
+    });
+
+    await t.test('quotes tags YAML would read as numbers', () => {
+        const { content } = updateManifest('image:\n  repository: sth/sth-api\n  tag: v1\n', { identifier: 'sth-api', tag: '2.0' });
+        assert.strictEqual(content, 'image:\n  repository: sth/sth-api\n  tag: "2.0"\n');
+    });
+});
+
+test('reports numeric tags as written', () => {
+    const helm = updateManifest('image:\n  repository: sth/sth-api\n  tag: 2.0\n', { identifier: 'sth-api', tag: 'v3' });
+    assert.deepStrictEqual(helm.changes, [{ path: 'image.tag', from: '2.0', to: 'v3' }]);
+    assert.strictEqual(previousTag(helm.changes), '2.0');
+
+    const kustomize = updateManifest(`images:\n  - name: sth-api\n    newTag: 1.10\n`, { identifier: 'sth-api', tag: 'v3', digest: DIGEST, pinMode: 'digest' });
+    assert.deepStrictEqual(kustomize.changes.find(c => c.path === 'images[0].newTag'), { path: 'images[0].newTag', from: '1.10', to: undefined });
+    assert.strictEqual(previousTag(kustomize.changes), '1.10');
+});
+
+test('Kustomize images', async (t) => {
+    const kustomization = 'images:\n  - name: sth-api\n    newName: harbor/sth/sth-api\n    newTag: v1\n  - name: sth-web\n    newTag: v1\n';
+
+    await t.test('updates newTag of the matching entry only', () => {
+        const { content, changes } = updateManifest(kustomization, { identifier: 'sth-api', tag: 'v2' });
+        assert.strictEqual(content, kustomization.replace('newTag: v1\n  -', 'newTag: v2\n  -'));
+        assert.deepStrictEqual(changes, [{ path: 'images[0].newTag', from: 'v1', to: 'v2' }]);
+    });
+
+    await t.test('swaps newTag for a digest in digest mode', () => {
+        const { content } = updateManifest(kustomization, { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'digest' });
+        assert.strictEqual(content, `images:\n  - name: sth-api\n    newName: harbor/sth/sth-api\n    digest: ${DIGEST}\n  - name: sth-web\n    newTag: v1\n`);
+    });
+
+    await t.test('drops a stale digest in tag mode', () => {
+        const pinned = `images:\n  - name: sth-api\n    newTag: v1\n    digest: ${OLD_DIGEST}\n`;
+        const { content } = updateManifest(pinned, { identifier: 'sth-api', tag: 'v2' });
+        assert.strictEqual(content, 'images:\n  - name: sth-api\n    newTag: v2\n');
+    });
+});
+
+test('flow-style mappings', async (t) => {
+    const check = (source, options, expected) => {
+        const { content } = updateManifest(source, { identifier: 'sth-api', ...options });
+        assert.strictEqual(content, expected);
+        YAML.parseAllDocuments(content).forEach(doc => assert.deepStrictEqual(doc.errors, []));
+    };
+
+    await t.test('updates values in place', () => {
+        check('images:\n  - {name: sth-api, newTag: v1}\n', { tag: 'v2' }, 'images:\n  - {name: sth-api, newTag: v2}\n');
+        check('image: {repository: sth/sth-api, tag: v1}\n', { tag: 'v2' }, 'image: {repository: sth/sth-api, tag: v2}\n');
+    });
+
+    await t.test('adds a digest', () => {
+        check('images:\n  - {name: sth-api, newTag: v1}\n', { tag: 'v2', digest: DIGEST, pinMode: 'tag-digest' },
+            `images:\n  - {name: sth-api, newTag: v2, digest: ${DIGEST}}\n`);
+        check('image: { repository: sth/sth-api, tag: v1, pullPolicy: Always }\n', { tag: 'v2', digest: DIGEST, pinMode: 'tag-digest' },
+            `image: { repository: sth/sth-api, tag: v2, digest: ${DIGEST}, pullPolicy: Always }\n`);
+    });
+
+    await t.test('swaps newTag for a digest wherever newTag sits', () => {
+        const expected = `images:\n  - {name: sth-api, digest: ${DIGEST}}\n`;
+        check('images:\n  - {name: sth-api, newTag: v1}\n', { tag: 'v2', digest: DIGEST, pinMode: 'digest' }, expected);
+        check('images:\n  - {newTag: v1, name: sth-api}\n', { tag: 'v2', digest: DIGEST, pinMode: 'digest' }, expected);
+        check('images:\n  - {name: sth-api, newTag: v1, newName: sth/sth-api}\n', { tag: 'v2', digest: DIGEST, pinMode: 'digest' },
+            `images:\n  - {name: sth-api, newName: sth/sth-api, digest: ${DIGEST}}\n`);
+    });
+
+    await t.test('drops a stale digest', () => {
+        check(`images:\n  - {name: sth-api, digest: ${OLD_DIGEST}, newTag: v1}\n`, { tag: 'v2' }, 'images:\n  - {name: sth-api, newTag: v2}\n');
+        check(`images:\n  - {name: sth-api, newTag: v1, digest: ${OLD_DIGEST}}\n`, { tag: 'v2' }, 'images:\n  - {name: sth-api, newTag: v2}\n');
+    });
+
+    await t.test('removes the first key of a block list item', () => {
+        check('images:\n  - newTag: v1\n    name: sth-api\n', { tag: 'v2', digest: DIGEST, pinMode: 'digest' },
+            `images:\n  - name: sth-api\n    digest: ${DIGEST}\n`);
+    });
+});
+
+test('keeps CRLF line endings', () => {
+    const crlf = (lines) => lines.join('\r\n');
+    const helm = updateManifest(crlf(['image:', '  repository: sth/sth-api', '  tag: v1', '  pullPolicy: Always', '']),
+        { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'tag-digest' });
+    assert.strictEqual(helm.content, crlf(['image:', '  repository: sth/sth-api', '  tag: v2', `  digest: ${DIGEST}`, '  pullPolicy: Always', '']));
+
+    const kustomize = updateManifest(crlf(['images:', '  - name: sth-api', '    newTag: v1', `    digest: ${OLD_DIGEST}`, '  - name: sth-web', '']),
+        { identifier: 'sth-api', tag: 'v2' });
+    assert.strictEqual(kustomize.content, crlf(['images:', '  - name: sth-api', '    newTag: v2', '  - name: sth-web', '']));
+
+    const swapped = updateManifest(crlf(['images:', '  - name: sth-api', '    newTag: v1', '  - name: sth-web', '']),
+        { identifier: 'sth-api', tag: 'v2', digest: DIGEST, pinMode: 'digest' });
+    assert.strictEqual(swapped.content, crlf(['images:', '  - name: sth-api', `    digest: ${DIGEST}`, '  - name: sth-web', '']));
+});
+
+test('reports no changes when nothing matches or the tag is current', () => {
+    assert.deepStrictEqual(updateManifest('image: sth/other:v1\n', { identifier: 'sth-api', tag: 'v2' }).changes, []);
+    assert.deepStrictEqual(updateManifest('image: sth/sth-api:v2\n', { identifier: 'sth-api', tag: 'v2' }).changes, []);
+    assert.throws(() => updateManifest('image: [\n', { identifier: 'sth-api', tag: 'v2' }), /YAML parse error/);
+});
+
+test('findImages reads every layout', () => {
+    const content = [
+        `image: sth/sth-api:v1@${OLD_DIGEST}`,
+        '---',
+        'api:',
+        '  image:',
+        '    repository: sth/sth-api',
+        '    tag: 2.10',
+        '---',
+        'images:',
+        '  - name: sth-api',
+        '    newTag: v3',
+        ''
+    ].join('\n');
+    assert.deepStrictEqual(findImages(content, { identifier: 'sth-api' }), [
+        { path: '[doc 0] image', tag: 'v1', digest: OLD_DIGEST },
+        { path: '[doc 1] api.image.tag', tag: '2.10', digest: null },
+        { path: '[doc 2] images[0]', tag: 'v3', digest: null }
+    ]);
+    assert.deepStrictEqual(findImages('image: [\n', { identifier: 'sth-api' }), []);
+});
+
+test('previousTag', () => {
+    assert.strictEqual(previousTag([{ path: 'image', from: 'sth/sth-api:v1', to: 'sth/sth-api:v2' }]), 'v1');
+    assert.strictEqual(previousTag([{ path: 'images[0].newTag', from: 'v1', to: 'v2' }]), 'v1');
+    assert.strictEqual(previousTag([{ path: 'image', from: `sth/sth-api@${OLD_DIGEST}`, to: 'sth/sth-api:v2' }]), null);
+    assert.strictEqual(previousTag([{ path: 'images[0].digest', from: undefined, to: DIGEST }]), null);
+});
+
+test('image references', () => {
+    assert.deepStrictEqual(parseImage(`harbor:80/sth/sth-api:v2@${DIGEST}`), { name: 'harbor:80/sth/sth-api', tag: 'v2', digest: DIGEST });
+    assert.deepStrictEqual(parseImage('harbor:80/sth/sth-api'), { name: 'harbor:80/sth/sth-api', tag: null, digest: null });
+    assert.strictEqual(imageReference('v2', DIGEST, 'tag'), ':v2');
+    assert.strictEqual(imageReference('v2', DIGEST, 'tag-digest'), `:v2@${DIGEST}`);
+    assert.strictEqual(imageReference('v2', DIGEST, 'digest'), `@${DIGEST}`);
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { createMergeRequest, deployBranchName, releaseBranchName, parseRepoUrl, resolveApi } = require('../utils/merge-request');
+
+// Local stand-in for the provider APIs: records each request and answers with whatever
+// the test queued as `reply` ({ status, body })
+async function startApi() {
+    const api = { requests: [], reply: { status: 201, body: {} } };
+    api.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            api.requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+            res.writeHead(api.reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(api.reply.body));
+        });
+    });
+    await new Promise(resolve => api.server.listen(0, '127.0.0.1', resolve));
+    api.url = `http://127.0.0.1:${api.server.address().port}`;
+    return api;
+}
+
+const request = (api, provider) => ({
+    provider,
+    repoUrl: 'https://git.local/group/sub/ops.git',
+    apiUrl: `${api.url}/api`,
+    token: 's3cret',
+    sourceBranch: 'deploy/sth-api-v2',
+    targetBranch: 'main',
+    title: 'Deploy sth-api:v2',
+    description: 'body'
+});
+
+test('createMergeRequest', async (t) => {
+    const api = await startApi();
+    t.after(() => api.server.close());
+
+    await t.test('opens a GitLab merge request', async () => {
+        api.reply = { status: 201, body: { iid: 7, web_url: 'https://git.local/group/sub/ops/-/merge_requests/7' } };
+        const result = await createMergeRequest(request(api, 'gitlab'));
+
+        assert.deepStrictEqual(result, { url: 'https://git.local/group/sub/ops/-/merge_requests/7', id: 7 });
+        const sent = api.requests.pop();
+        assert.strictEqual(sent.url, '/api/projects/group%2Fsub%2Fops/merge_requests');
+        assert.strictEqual(sent.headers['private-token'], 's3cret');
+        assert.deepStrictEqual(sent.body, {
+            source_branch: 'deploy/sth-api-v2', target_branch: 'main', title: 'Deploy sth-api:v2', description: 'body', remove_source_branch: true
+        });
+    });
+
+    await t.test('opens a Gitea pull request', async () => {
+        api.reply = { status: 201, body: { number: 3, html_url: 'https://git.local/group/sub/ops/pulls/3' } };
+        const result = await createMergeRequest(request(api, 'gitea'));
+
+        assert.deepStrictEqual(result, { url: 'https://git.local/group/sub/ops/pulls/3', id: 3 });
+        const sent = api.requests.pop();
+        assert.strictEqual(sent.url, '/api/repos/group/sub/ops/pulls');
+        assert.strictEqual(sent.headers.authorization, 'token s3cret');
+        assert.deepStrictEqual(sent.body, { head: 'deploy/sth-api-v2', base: 'main', title: 'Deploy sth-api:v2', body: 'body' });
+    });
+
+    await t.test('opens a GitHub pull request', async () => {
+        api.reply = { status: 201, body: { number: 12, html_url: 'https://github.com/group/ops/pull/12' } };
+        const result = await createMergeRequest(request(api, 'github'));
+
+        assert.deepStrictEqual(result, { url: 'https://github.com/group/ops/pull/12', id: 12 });
+        const sent = api.requests.pop();
+        assert.strictEqual(sent.headers.authorization, 'Bearer s3cret');
+        assert.strictEqual(sent.headers.accept, 'application/vnd.github+json');
+    });
+
+    await t.test('sends plain-HTTP API requests through the agent', async () => {
+        // gitAgent hands out an HttpProxyAgent for http:// API roots behind git_proxy
+        const agent = new http.Agent();
+        let used = 0;
+        const addRequest = agent.addRequest.bind(agent);
+        agent.addRequest = (...args) => {
+            used++;
+            return addRequest(...args);
+        };
+        api.reply = { status: 201, body: { iid: 8, web_url: 'https://git.local/group/sub/ops/-/merge_requests/8' } };
+        await createMergeRequest({ ...request(api, 'gitlab'), agent });
+        assert.strictEqual(used, 1);
+        agent.destroy();
+    });
+
+    await t.test('treats 409 as a request already open for the branch', async () => {
+        api.reply = { status: 409, body: { message: ['Another open merge request already exists for this source branch'] } };
+        assert.deepStrictEqual(await createMergeRequest(request(api, 'gitlab')), { url: null, id: null, existing: true });
+    });
+
+    await t.test('treats 422 "already exists" as a request already open for the branch', async () => {
+        api.reply = { status: 422, body: { message: 'Validation Failed', errors: [{ message: 'A pull request already exists for group:deploy/sth-api-v2.' }] } };
+        assert.deepStrictEqual(await createMergeRequest(request(api, 'github')), { url: null, id: null, existing: true });
+    });
+
+    await t.test('reports other 422s and errors with the HTTP status', async () => {
+        api.reply = { status: 422, body: { message: 'Validation Failed' } };
+        await assert.rejects(createMergeRequest(request(api, 'github')), /HTTP 422.*Validation Failed/);
+
+        api.reply = { status: 401, body: { message: '401 Unauthorized' } };
+        await assert.rejects(createMergeRequest(request(api, 'gitlab')), /HTTP 401/);
+    });
+
+    await t.test('fails before any request without a token', async () => {
+        const before = api.requests.length;
+        await assert.rejects(createMergeRequest({ ...request(api, 'gitlab'), token: '' }), /needs an API token/);
+        assert.strictEqual(api.requests.length, before);
+    });
+});
+
+test('resolveApi picks the provider default API root', () => {
+    const repoUrl = 'https://git.local/group/ops.git';
+    assert.deepStrictEqual(resolveApi({ provider: 'gitlab', repoUrl, token: 't' }), { base: 'https://git.local/api/v4', project: 'group/ops' });
+    assert.deepStrictEqual(resolveApi({ provider: 'gitea', repoUrl, token: 't' }), { base: 'https://git.local/api/v1', project: 'group/ops' });
+    assert.strictEqual(resolveApi({ provider: 'github', repoUrl: 'https://github.com/group/ops.git', token: 't' }).base, 'https://api.github.com');
+    assert.strictEqual(resolveApi({ provider: 'github', repoUrl, token: 't' }).base, 'https://git.local/api/v3');
+    assert.throws(() => resolveApi({ provider: 'bitbucket', repoUrl, token: 't' }), /Unknown merge request provider/);
+});
+
+test('parseRepoUrl maps SSH remotes to the HTTPS host', () => {
+    assert.deepStrictEqual(parseRepoUrl('git@git.local:group/sub/ops.git'), { origin: 'https://git.local', project: 'group/sub/ops' });
+    assert.throws(() => parseRepoUrl('https://git.local/ops.git'), /project path/);
+});
+
+test('branch names', () => {
+    assert.strictEqual(deployBranchName('sth-api', 'v2.0.5'), 'deploy/sth-api-v2.0.5');
+    assert.strictEqual(deployBranchName('sth api', 'v2..0'), 'deploy/sth-api-v2.0');
+    assert.strictEqual(
+        releaseBranchName([{ serviceName: 'a', tag: '1' }, { serviceName: 'b', tag: '2' }]),
+        releaseBranchName([{ serviceName: 'b', tag: '2' }, { serviceName: 'a', tag: '1' }])
+    );
+    assert.match(releaseBranchName([{ serviceName: 'a', tag: '1' }]), /^deploy\/release-[0-9a-f]{8}$/);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const RegistryAuth = require('../utils/registry-auth');
+
+// Token service stub: answers with `reply(query)` ({ status, body }) and records the queries
+async function startTokenService(reply) {
+    const service = { queries: [], reply };
+    service.server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const query = { scope: url.searchParams.getAll('scope'), service: url.searchParams.get('service'), authorization: req.headers.authorization || null };
+        service.queries.push(query);
+        const { status, body } = service.reply(query);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => service.server.listen(0, '127.0.0.1', resolve));
+    service.realm = `http://127.0.0.1:${service.server.address().port}/token`;
+    return service;
+}
+
+const quiet = () => { };
+const PUSH = ['repository:sth/sth-api:pull,push'];
+
+test('scopesFor', () => {
+    const base = 'https://harbor.local/v2';
+    assert.deepStrictEqual(RegistryAuth.scopesFor('GET', `${base}/sth/sth-api/manifests/v1`), ['repository:sth/sth-api:pull']);
+    assert.deepStrictEqual(RegistryAuth.scopesFor('HEAD', `${base}/sth/sth-api/blobs/sha256:x`), ['repository:sth/sth-api:pull']);
+    assert.deepStrictEqual(RegistryAuth.scopesFor('PUT', `${base}/sth/sth-api/manifests/v1`), PUSH);
+    assert.deepStrictEqual(
+        RegistryAuth.scopesFor('POST', `${base}/sth/sth-api/blobs/uploads/?mount=sha256:x&from=sth/sth-worker`),
+        [...PUSH, 'repository:sth/sth-worker:pull']
+    );
+    assert.deepStrictEqual(RegistryAuth.scopesFor('GET', `${base}/`), []);
+});
+
+test('RegistryAuth', async (t) => {
+    let issued = 0;
+    const service = await startTokenService(() => ({ status: 200, body: { token: `t${++issued}`, expires_in: 300 } }));
+    t.after(() => service.server.close());
+
+    await t.test('uses Basic credentials until the registry asks for tokens', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        assert.strictEqual(await auth.authorize(PUSH), `Basic ${Buffer.from('ci:pw').toString('base64')}`);
+        assert.strictEqual(await new RegistryAuth('', '', quiet).authorize(PUSH), null);
+    });
+
+    await t.test('fetches a token per scope set on a Bearer challenge and caches it', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        const before = service.queries.length;
+        assert.strictEqual(await auth.handleChallenge(`Bearer realm="${service.realm}",service="harbor-registry"`, PUSH), true);
+
+        const first = await auth.authorize(PUSH);
+        assert.strictEqual(await auth.authorize(PUSH), first);
+        const pull = await auth.authorize(['repository:sth/sth-api:pull']);
+        assert.notStrictEqual(pull, first);
+
+        const queries = service.queries.slice(before);
+        assert.strictEqual(queries.length, 2);
+        assert.deepStrictEqual(queries[0], { scope: PUSH, service: 'harbor-registry', authorization: `Basic ${Buffer.from('ci:pw').toString('base64')}` });
+        assert.deepStrictEqual(queries[1].scope, ['repository:sth/sth-api:pull']);
+    });
+
+    await t.test('adds the scope the challenge names', async () => {
+        const auth = new RegistryAuth('', '', quiet);
+        const before = service.queries.length;
+        await auth.handleChallenge(`Bearer realm="${service.realm}",scope="repository:sth/base:pull"`, PUSH);
+        assert.deepStrictEqual(service.queries[before].scope, [...PUSH, 'repository:sth/base:pull']);
+        assert.strictEqual(service.queries[before].authorization, null);
+        // The original scope set reuses that token
+        await auth.authorize(PUSH);
+        assert.strictEqual(service.queries.length, before + 1);
+    });
+
+    await t.test('shares one token request between parallel callers', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        auth.bearer = { realm: service.realm };
+        const before = service.queries.length;
+        const tokens = await Promise.all([auth.authorize(PUSH), auth.authorize(PUSH), auth.authorize(PUSH)]);
+        assert.strictEqual(new Set(tokens).size, 1);
+        assert.strictEqual(service.queries.length, before + 1);
+    });
+
+    await t.test('renews a token shortly before it expires', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        auth.bearer = { realm: service.realm };
+        const first = await auth.authorize(PUSH);
+        const cached = auth.tokens.get(PUSH[0]);
+        // 300s lifetime, renewed 30s early
+        assert.ok(cached.refreshAt > Date.now() + 260 * 1000 && cached.refreshAt <= Date.now() + 270 * 1000);
+
+        cached.refreshAt = Date.now() - 1;
+        assert.notStrictEqual(await auth.authorize(PUSH), first);
+    });
+
+    await t.test('keeps short-lived tokens for half their lifetime and counts from issued_at', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        auth.bearer = { realm: service.realm };
+
+        service.reply = () => ({ status: 200, body: { access_token: 'short', expires_in: 20 } });
+        await auth.authorize(PUSH);
+        const short = auth.tokens.get(PUSH[0]).refreshAt - Date.now();
+        assert.ok(short > 9000 && short <= 10000, `refresh in ${short}ms`);
+
+        const issuedAt = new Date(Date.now() - 100 * 1000).toISOString();
+        service.reply = () => ({ status: 200, body: { token: 'old', expires_in: 300, issued_at: issuedAt } });
+        await auth.getToken(PUSH, true);
+        const remaining = auth.tokens.get(PUSH[0]).refreshAt - Date.now();
+        assert.ok(remaining > 160 * 1000 && remaining <= 170 * 1000, `refresh in ${remaining}ms`);
+
+        // Without expires_in the spec's 60 seconds apply
+        service.reply = () => ({ status: 200, body: { token: 'default' } });
+        await auth.getToken(PUSH, true);
+        const fallback = auth.tokens.get(PUSH[0]).refreshAt - Date.now();
+        assert.ok(fallback > 29 * 1000 && fallback <= 30 * 1000, `refresh in ${fallback}ms`);
+    });
+
+    await t.test('fails clearly when the token service rejects the credentials', async () => {
+        const auth = new RegistryAuth('ci', 'wrong', quiet);
+        auth.bearer = { realm: service.realm };
+        service.reply = () => ({ status: 401, body: { errors: [{ code: 'UNAUTHORIZED' }] } });
+        await assert.rejects(auth.authorize(PUSH), /token service rejected the configured credentials \(HTTP 401\)/);
+
+        service.reply = () => ({ status: 200, body: {} });
+        await assert.rejects(auth.authorize(PUSH), /returned no token/);
+    });
+
+    await t.test('ignores challenges that are not Bearer', async () => {
+        const auth = new RegistryAuth('ci', 'pw', quiet);
+        assert.strictEqual(await auth.handleChallenge('Basic realm="harbor"', PUSH), false);
+        assert.strictEqual(await auth.handleChallenge('', PUSH), false);
+    });
+});
@@ -0,0 +1,231 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const tar = require('tar-stream');
+const RegistryClient = require('../utils/registry');
+const UploadSessionStore = require('../utils/upload-sessions');
+
+// Minimal registry speaking the chunked blob upload protocol:
+//   POST   /v2/<repo>/blobs/uploads/        open a session
+//   PATCH  /v2/<repo>/blobs/uploads/<id>    append a chunk (Content-Range start must match)
+//   GET    /v2/<repo>/blobs/uploads/<id>    report the received range
+//   PUT    /v2/<repo>/blobs/uploads/<id>?digest=  commit
+// `failPatch(session, received)` may return a status to answer a PATCH with after
+// storing only the first half of its body, as a flaky proxy would.
+async function startRegistry() {
+    const registry = { sessions: new Map(), blobs: new Map(), requests: [], failPatch: () => null };
+    registry.server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, 'http://localhost');
+            registry.requests.push({ method: req.method, path: url.pathname, range: req.headers['content-range'] || null });
+            const match = url.pathname.match(/^\/v2\/(.+)\/blobs\/uploads\/([\w-]*)$/);
+            const reply = (status, headers = {}) => { res.writeHead(status, headers); res.end(); };
+            if (!match) return reply(404);
+
+            const [, repository, id] = match;
+            if (req.method === 'POST') {
+                const uuid = crypto.randomUUID();
+                registry.sessions.set(uuid, Buffer.alloc(0));
+                return reply(202, { Location: `/v2/${repository}/blobs/uploads/${uuid}`, Range: '0-0' });
+            }
+            const received = registry.sessions.get(id);
+            if (!received) return reply(404);
+            const range = () => {
+                const length = registry.sessions.get(id).length;
+                return length ? `0-${length - 1}` : '0-0';
+            };
+
+            if (req.method === 'GET') return reply(204, { Location: url.pathname, Range: range() });
+            if (req.method === 'PATCH') {
+                const start = parseInt(req.headers['content-range'].split('-')[0], 10);
+                if (start !== received.length) return reply(416, { Range: range() });
+                const failure = registry.failPatch(id, received.length);
+                if (failure) {
+                    registry.sessions.set(id, Buffer.concat([received, body.subarray(0, Math.floor(body.length / 2))]));
+                    return reply(failure);
+                }
+                registry.sessions.set(id, Buffer.concat([received, body]));
+                return reply(202, { Location: url.pathname, Range: range() });
+            }
+            if (req.method === 'PUT') {
+                const digest = `sha256:${crypto.createHash('sha256').update(received).digest('hex')}`;
+                if (digest !== url.searchParams.get('digest')) return reply(400);
+                registry.blobs.set(`${repository}@${digest}`, received);
+                registry.sessions.delete(id);
+                return reply(201, { 'Docker-Content-Digest': digest });
+            }
+            return reply(405);
+        });
+    });
+    await new Promise(resolve => registry.server.listen(0, '127.0.0.1', resolve));
+    registry.url = `http://127.0.0.1:${registry.server.address().port}`;
+    return registry;
+}
+
+test('chunked blob upload', async (t) => {
+    const registry = await startRegistry();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    t.after(() => {
+        registry.server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const data = crypto.randomBytes(100);
+    const blobFile = path.join(dir, 'layer.tar.gz');
+    fs.writeFileSync(blobFile, data);
+    const digest = `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+    const sessionFile = path.join(dir, 'upload-sessions.json');
+
+    const client = () => {
+        const c = new RegistryClient(() => { }, { scheme: 'http', chunkSize: 32, retryDelay: 0, sessionFile });
+        c.registryUrl = registry.url;
+        return c;
+    };
+    const patches = () => registry.requests.filter(r => r.method === 'PATCH').map(r => r.range);
+    const sessionKey = UploadSessionStore.key(registry.url, 'sth/sth-api', digest);
+
+    t.beforeEach(() => {
+        registry.requests = [];
+        registry.blobs.clear();
+        registry.failPatch = () => null;
+        fs.rmSync(sessionFile, { force: true });
+    });
+
+    await t.test('uploads in chunks and forgets the session once committed', async () => {
+        await client().uploadBlob('sth/sth-api', blobFile, digest, data.length);
+        assert.deepStrictEqual(patches(), ['0-31', '32-63', '64-95', '96-99']);
+        assert.deepStrictEqual(registry.blobs.get(`sth/sth-api@${digest}`), data);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(sessionFile, 'utf8')), {});
+    });
+
+    await t.test('resumes a saved session where the registry left off', async () => {
+        // An earlier run got the first two chunks in before the app was closed
+        const uuid = crypto.randomUUID();
+        registry.sessions.set(uuid, data.subarray(0, 64));
+        fs.writeFileSync(sessionFile, JSON.stringify({ [sessionKey]: { uploadUrl: `${registry.url}/v2/sth/sth-api/blobs/uploads/${uuid}`, offset: 32, updatedAt: new Date().toISOString() } }));
+
+        await client().uploadBlob('sth/sth-api', blobFile, digest, data.length);
+        assert.deepStrictEqual(patches(), ['64-95', '96-99']);
+        assert.strictEqual(registry.requests.filter(r => r.method === 'POST').length, 0);
+        assert.deepStrictEqual(registry.blobs.get(`sth/sth-api@${digest}`), data);
+    });
+
+    await t.test('starts over when the saved session has expired', async () => {
+        fs.writeFileSync(sessionFile, JSON.stringify({ [sessionKey]: { uploadUrl: `${registry.url}/v2/sth/sth-api/blobs/uploads/gone`, offset: 64, updatedAt: new Date().toISOString() } }));
+
+        await client().uploadBlob('sth/sth-api', blobFile, digest, data.length);
+        assert.deepStrictEqual(patches(), ['0-31', '32-63', '64-95', '96-99']);
+        assert.deepStrictEqual(registry.blobs.get(`sth/sth-api@${digest}`), data);
+    });
+
+    await t.test('re-syncs with the registry after a chunk fails halfway', async () => {
+        let failed = false;
+        registry.failPatch = (id, received) => {
+            if (failed || received !== 32) return null;
+            failed = true;
+            return 503;
+        };
+
+        await client().uploadBlob('sth/sth-api', blobFile, digest, data.length);
+        // Half of the second chunk (16 bytes) arrived; the retry sends only the rest
+        assert.deepStrictEqual(patches(), ['0-31', '32-63', '48-79', '80-99']);
+        assert.deepStrictEqual(registry.blobs.get(`sth/sth-api@${digest}`), data);
+    });
+
+    await t.test('keeps the session on disk when the upload gives up', async () => {
+        registry.failPatch = (id, received) => (received >= 32 ? 400 : null);
+
+        await assert.rejects(client().uploadBlob('sth/sth-api', blobFile, digest, data.length), /status code 400/);
+        const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8'))[sessionKey];
+        assert.strictEqual(saved.offset, 32);
+        assert.match(saved.uploadUrl, /\/v2\/sth\/sth-api\/blobs\/uploads\//);
+    });
+});
+
+test('extractArchive gives parallel extractions their own directory', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    const archives = ['api', 'worker'].map(name => {
+        const file = path.join(dir, `${name}.tar`);
+        const pack = tar.pack();
+        pack.entry({ name: 'manifest.json' }, JSON.stringify([{ RepoTags: [`sth/${name}:v1`] }]));
+        pack.finalize();
+        return { name, file, written: new Promise(resolve => pack.pipe(fs.createWriteStream(file)).on('finish', resolve)) };
+    });
+    await Promise.all(archives.map(a => a.written));
+
+    const client = new RegistryClient(() => { });
+    const extracted = await Promise.all(archives.map(a => client.extractArchive(a.file)));
+    t.after(() => [dir, ...extracted].forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+    assert.notStrictEqual(extracted[0], extracted[1]);
+    archives.forEach((a, index) => {
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(extracted[index], 'manifest.json'), 'utf8')), [{ RepoTags: [`sth/${a.name}:v1`] }]);
+    });
+});
+
+test('upload sessions from parallel clients share one store and keep each other', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const sessionFile = path.join(dir, 'upload-sessions.json');
+
+    const clients = ['api', 'worker'].map(() => new RegistryClient(() => { }, { sessionFile }));
+    assert.strictEqual(clients[0].sessions, clients[1].sessions);
+
+    await Promise.all(['api', 'worker'].flatMap((name, index) => [1, 2, 3].map(offset =>
+        clients[index].sessions.set(`sth/${name}@sha256:${offset}`, { uploadUrl: `/v2/sth/${name}/blobs/uploads/${offset}`, offset })
+    )));
+    await clients[0].sessions.delete('sth/api@sha256:2');
+
+    const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+    assert.deepStrictEqual(Object.keys(saved).sort(), ['sth/api@sha256:1', 'sth/api@sha256:3', 'sth/worker@sha256:1', 'sth/worker@sha256:2', 'sth/worker@sha256:3']);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['upload-sessions.json']);
+});
+
+test('a failed blob waits for the uploads still running before the push fails', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'blobs', 'sha256'), { recursive: true });
+    const blob = (content, size = content.length) => {
+        const hex = crypto.createHash('sha256').update(content).digest('hex');
+        fs.writeFileSync(path.join(dir, 'blobs', 'sha256', hex), content);
+        return { digest: `sha256:${hex}`, size };
+    };
+    const manifest = Buffer.from(JSON.stringify({ config: blob('{}'), layers: [blob('truncated', 100), blob('layer')] }));
+    const descriptor = blob(manifest);
+
+    // The truncated layer fails at once while the other two are still uploading
+    const client = new RegistryClient(() => { });
+    const finished = [];
+    client.pushBlob = async (repository, { digest }) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        finished.push(digest);
+    };
+    await assert.rejects(client.pushOciImage(dir, descriptor, 'sth/sth-api'), /is 9 bytes on disk but the manifest says 100/);
+    assert.strictEqual(finished.length, 2);
+});
+
+test('upload sessions older than a week are dropped', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const sessionFile = path.join(dir, 'upload-sessions.json');
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(sessionFile, JSON.stringify({
+        abandoned: { uploadUrl: '/v2/sth/sth-api/blobs/uploads/1', offset: 32, updatedAt: daysAgo(8) },
+        undated: { uploadUrl: '/v2/sth/sth-api/blobs/uploads/2', offset: 32 },
+        recent: { uploadUrl: '/v2/sth/sth-api/blobs/uploads/3', offset: 32, updatedAt: daysAgo(6) }
+    }));
+
+    const store = UploadSessionStore.forFile(sessionFile);
+    assert.strictEqual(await store.get('abandoned'), null);
+    assert.strictEqual((await store.get('recent')).offset, 32);
+
+    await store.set('new', { uploadUrl: '/v2/sth/sth-api/blobs/uploads/4', offset: 0 });
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(sessionFile, 'utf8'))), ['recent', 'new']);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const SecretStore = require('../utils/secrets');
+
+// Reversible stand-in for Electron's safeStorage
+const keychain = {
+    isEncryptionAvailable: () => true,
+    encryptString: text => Buffer.from(`enc:${text}`),
+    decryptString: data => data.toString().replace(/^enc:/, '')
+};
+
+const config = (environments) => ({ active_environment: 'uat', environments });
+
+test('SecretStore', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sth-deploy-test-'));
+    const file = path.join(dir, 'secrets.json');
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    t.beforeEach(() => fs.rmSync(file, { force: true }));
+
+    await t.test('encrypts with the master password and reads it back', () => {
+        const store = new SecretStore(file, null);
+        assert.deepStrictEqual(store.status(), { scheme: 'master-password', locked: true, initialized: false, error: null });
+        store.unlock('correct horse');
+
+        const saved = config({ uat: { git_repo_url: 'git@git.local:ops.git', password: 'git-pw', reg_password: '' } });
+        assert.strictEqual(store.take(saved), true);
+        assert.deepStrictEqual(saved.environments.uat, { git_repo_url: 'git@git.local:ops.git' });
+        store.save();
+
+        const onDisk = fs.readFileSync(file, 'utf8');
+        assert.doesNotMatch(onDisk, /git-pw/);
+        assert.deepStrictEqual(JSON.parse(onDisk).keys, { uat: ['password'] });
+
+        const reopened = new SecretStore(file, null);
+        assert.throws(() => reopened.unlock('wrong'), /Wrong master password/);
+        assert.strictEqual(reopened.status().locked, true);
+        reopened.unlock('correct horse');
+        assert.strictEqual(reopened.apply(saved, 'uat').environments.uat.password, 'git-pw');
+    });
+
+    await t.test('uses the OS keychain when there is one', () => {
+        const store = new SecretStore(file, keychain);
+        assert.strictEqual(store.status().locked, false);
+        store.take(config({ uat: { reg_password: 'reg-pw' } }));
+        store.save();
+        assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).scheme, 'safeStorage');
+
+        const reopened = new SecretStore(file, keychain);
+        assert.strictEqual(reopened.apply(config({ uat: {} }), 'uat').environments.uat.reg_password, 'reg-pw');
+    });
+
+    await t.test('only needs unlocking for environments with credentials', () => {
+        const store = new SecretStore(file, null);
+        store.unlock('pw');
+        store.take(config({ uat: { password: 'git-pw' }, dev: {} }));
+        store.save();
+
+        const locked = new SecretStore(file, null);
+        const both = config({ uat: { git_repo_url: 'a' }, dev: { git_repo_url: 'b', password: 'from the renderer' } });
+        assert.deepStrictEqual(locked.apply(both, 'dev').environments.dev, { git_repo_url: 'b', password: '', git_api_token: '', reg_password: '' });
+        assert.throws(() => locked.apply(both, 'uat'), /locked; enter the master password/);
+        assert.deepStrictEqual(locked.storedKeys(), { uat: ['password'] });
+    });
+
+    await t.test('keeps plain-text credentials in config.json while locked', () => {
+        // A config.json from before the secret store, loaded before the master password is entered
+        const store = new SecretStore(file, null);
+        const loaded = config({ uat: { git_repo_url: 'a', password: 'git-pw', reg_password: 'reg-pw' } });
+        assert.strictEqual(store.take(loaded, { legacy: true }), true);
+        assert.strictEqual(loaded.environments.uat.password, undefined);
+
+        // The renderer saves (an environment switch) without them; they are put back
+        const saved = config({ uat: { git_repo_url: 'a', password: '' } });
+        assert.strictEqual(store.take(saved), false);
+        store.keepLegacy(saved);
+        assert.deepStrictEqual(saved.environments.uat, { git_repo_url: 'a', password: 'git-pw', reg_password: 'reg-pw' });
+        assert.throws(() => store.save(), /locked/);
+        assert.strictEqual(fs.existsSync(file), false);
+
+        // Quit and start again: the next session still finds and stores them
+        const next = new SecretStore(file, null);
+        next.take(JSON.parse(JSON.stringify(saved)), { legacy: true });
+        next.unlock('pw');
+        const unlocked = next.apply(config({ uat: {} }), 'uat').environments.uat;
+        assert.strictEqual(unlocked.password, 'git-pw');
+        assert.strictEqual(unlocked.reg_password, 'reg-pw');
+
+        const after = config({ uat: { git_repo_url: 'a' } });
+        next.keepLegacy(after);
+        assert.deepStrictEqual(after.environments.uat, { git_repo_url: 'a' });
+    });
+
+    await t.test('drops the credentials of deleted environments', () => {
+        const store = new SecretStore(file, keychain);
+        store.take(config({ uat: { password: 'a' }, old: { password: 'b' } }));
+        store.take(config({ uat: {} }));
+        assert.deepStrictEqual(store.storedKeys(), { uat: ['password'] });
+    });
+
+    await t.test('reports an unreadable file on deploy', () => {
+        fs.writeFileSync(file, JSON.stringify({ scheme: 'rot13' }));
+        const store = new SecretStore(file, null);
+        assert.match(store.status().error, /Unknown credential storage scheme 'rot13'/);
+        assert.throws(() => store.apply(config({ uat: {} }), 'uat'), /Unknown credential storage scheme/);
+    });
+});
@@ -0,0 +1,104 @@
+const { spawn } = require('child_process');
+const os = require('os');
+
+// Commit metadata for GitOps deploy commits: author identity, the message template and
+// optional signing of the commit with the operator's GPG or SSH key.
+
+const DEFAULT_MESSAGE_TEMPLATE = 'Deploy {service}:{tag}';
+const DEFAULT_AUTHOR_EMAIL = 'deployer@example.com';
+
+// Placeholders understood by commit_message_template
+const PLACEHOLDERS = ['service', 'tag', 'digest', 'previous_tag', 'environment', 'operator'];
+
+// Person running the deploy: the configured operator name, else the OS account
+function operatorName(config) {
+    if (config.operator) return config.operator;
+    try {
+        return os.userInfo().username;
+    } catch (err) {
+        return 'unknown';
+    }
+}
+
+function commitAuthor(config) {
+    return {
+        name: config.commit_author_name || config.username || 'STH Deployer',
+        email: config.commit_author_email || DEFAULT_AUTHOR_EMAIL
+    };
+}
+
+// Fill "{service}", "{tag}", ... in the configured template. Unknown placeholders are left as
+// written so a typo shows up in the commit instead of silently vanishing.
+function renderCommitMessage(template, values) {
+    const fill = (text) => text.replace(/\{(\w+)\}/g, (match, name) =>
+        PLACEHOLDERS.includes(name) ? String(values[name] == null ? '' : values[name]) : match
+    );
+    const message = fill(template || DEFAULT_MESSAGE_TEMPLATE);
+    return message.trim() ? message : fill(DEFAULT_MESSAGE_TEMPLATE);
+}
+
+// Message of a release, the commit deploying several services at once: a "Release a:v1, b:v2"
+// subject and, per service, the first line of its templated message as a bullet
+function renderReleaseMessage(template, valuesList) {
+    const subject = `Release ${valuesList.map(values => `${values.service}:${values.tag}`).join(', ')}`;
+    const bullets = valuesList.map(values => `- ${renderCommitMessage(template, values).split('\n')[0]}`);
+    return `${subject}\n\n${bullets.join('\n')}\n`;
+}
+
+// Run a signing tool with the commit payload on stdin and return its stdout
+function runSigner(command, args, payload) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const stdout = [];
+        const stderr = [];
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.on('error', (err) => reject(new Error(`Commit signing failed: cannot run ${command} (${err.message})`)));
+        child.on('close', (code) => {
+            if (code !== 0) {
+                const detail = Buffer.concat(stderr).toString().trim().split('\n').pop();
+                reject(new Error(`Commit signing failed: ${command} exited with code ${code}${detail ? ` (${detail})` : ''}`));
+                return;
+            }
+            resolve(Buffer.concat(stdout).toString());
+        });
+        // A signer that exits early (unknown key) closes stdin; its exit code reports why
+        child.stdin.on('error', () => { });
+        child.stdin.end(payload);
+    });
+}
+
+// isomorphic-git onSign callback for the configured signing mode, or null when commits are
+// not signed. `secretKey` is the signingKey passed to git.commit:
+//   gpg  key id or fingerprint in the user's keyring, signed like `git commit -S`
+//   ssh  path to the private key, signed like git's gpg.format=ssh
+function createSigner(mode) {
+    if (!mode || mode === 'none') return null;
+    if (mode === 'gpg') {
+        return async ({ payload, secretKey }) => ({
+            signature: await runSigner('gpg', ['--batch', '--armor', '--detach-sign', '--local-user', secretKey], payload)
+        });
+    }
+    if (mode === 'ssh') {
+        return async ({ payload, secretKey }) => ({
+            signature: await runSigner('ssh-keygen', ['-Y', 'sign', '-n', 'git', '-f', secretKey], payload)
+        });
+    }
+    throw new Error(`Unknown commit signing mode '${mode}' (expected gpg or ssh)`);
+}
+
+// Options to spread into git.commit: author, committer and signing
+function commitOptions(config) {
+    const author = commitAuthor(config);
+    const onSign = createSigner(config.commit_signing);
+    if (onSign && !config.commit_signing_key) {
+        throw new Error(`Commit signing with ${config.commit_signing} needs a signing key`);
+    }
+    return {
+        author,
+        committer: author,
+        ...(onSign ? { onSign, signingKey: config.commit_signing_key } : {})
+    };
+}
+
+module.exports = { renderCommitMessage, renderReleaseMessage, commitOptions, commitAuthor, operatorName, PLACEHOLDERS, DEFAULT_MESSAGE_TEMPLATE };
@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persistent audit trail of deploys, rollbacks, promotions and releases. Every run appends one
+// JSON line to deploys.jsonl (the summary) and writes its full log to logs/<id>.log, so the
+// index stays small enough to read whole when the history view is opened. A release records
+// one run per service, sharing the release id.
+
+const CSV_COLUMNS = [
+    'id', 'startedAt', 'finishedAt', 'durationMs', 'environment', 'operator', 'action', 'service', 'tag',
+    'extraTags', 'source', 'repository', 'digest', 'manifestFile', 'branch', 'commit', 'mergeRequest',
+    'release', 'result', 'error'
+];
+
+function csvCell(value) {
+    if (value == null) return '';
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One deploy in progress: collects log lines and fills in details as they become known
+class DeployRun {
+    constructor(store, record) {
+        this.store = store;
+        this.record = record;
+        this.lines = [];
+        this.started = Date.now();
+    }
+
+    log(message) {
+        this.lines.push(`[${new Date().toISOString()}] ${message}`);
+    }
+
+    set(details) {
+        Object.assign(this.record, details);
+    }
+
+    // Write the record with its outcome. Never throws: a full disk must not turn a
+    // successful deploy into a failed one.
+    async finish(result, error = null) {
+        const finished = Date.now();
+        Object.assign(this.record, {
+            finishedAt: new Date(finished).toISOString(),
+            durationMs: finished - this.started,
+            result,
+            error: error ? error.message : null
+        });
+        try {
+            await this.store.append(this.record, this.lines.join('\n'));
+        } catch (err) {
+            console.error('Could not write deploy record:', err);
+        }
+        return this.record;
+    }
+}
+
+class DeployLog {
+    constructor(dir) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'deploys.jsonl');
+        this.logDir = path.join(dir, 'logs');
+        this.writing = Promise.resolve();
+    }
+
+    // Begin recording a run. `details` is { action, service, tag, operator, ... }.
+    start(details) {
+        const startedAt = new Date();
+        const id = `${startedAt.toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`;
+        return new DeployRun(this, { id, startedAt: startedAt.toISOString(), ...details });
+    }
+
+    // Appends are chained so concurrent deploys never interleave lines in the index
+    append(record, logText) {
+        this.writing = this.writing.catch(() => { }).then(async () => {
+            await fs.ensureDir(this.logDir);
+            await fs.writeFile(path.join(this.logDir, `${record.id}.log`), logText);
+            await fs.appendFile(this.indexFile, `${JSON.stringify(record)}\n`);
+        });
+        return this.writing;
+    }
+
+    // Records newest first, optionally filtered by service and a [from, to] ISO time range
+    async list({ service, from, to } = {}) {
+        let text;
+        try {
+            text = await fs.readFile(this.indexFile, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+        return text.split('\n')
+            .map(line => {
+                try {
+                    return line.trim() ? JSON.parse(line) : null;
+                } catch (err) {
+                    return null; // A line cut short by a crash is skipped, not fatal
+                }
+            })
+            .filter(record => record &&
+                (!service || record.service === service) &&
+                Date.parse(record.startedAt) >= fromTime &&
+                Date.parse(record.startedAt) <= toTime)
+            .reverse();
+    }
+
+    async readLog(id) {
+        if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid deploy id ${id}`);
+        try {
+            return await fs.readFile(path.join(this.logDir, `${id}.log`), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return '';
+            throw err;
+        }
+    }
+
+    // JSON exports carry each run's full log; CSV is the summary table only
+    async export(records, format) {
+        if (format === 'csv') {
+            const rows = records.map(record => CSV_COLUMNS.map(column => csvCell(
+                column === 'mergeRequest' ? record.mergeRequest && record.mergeRequest.url : record[column]
+            )).join(','));
+            return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+        }
+        const withLogs = [];
+        for (const record of records) {
+            withLogs.push({ ...record, log: await this.readLog(record.id) });
+        }
+        return JSON.stringify(withLogs, null, 2);
+    }
+}
+
+module.exports = DeployLog;
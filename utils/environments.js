@@ -0,0 +1,95 @@
+// Named deploy environments (uat, staging, prod, ...). Config layout:
+//
+//   {
+//     active_environment: "uat",
+//     environments: {
+//       "uat":  { git_repo_url, username, password, git_branch, ..., reg_username, reg_password,
+//                 confirm_deploys: false, service_configs: { "<service>": { registry_url, manifest_path, ... } } },
+//       "prod": { ..., confirm_deploys: true, service_configs: { ... } }
+//     },
+//     // shared by all environments: registry TLS, upload concurrency, commit identity, ...
+//   }
+//
+// The credentials among those keys (SECRET_KEYS) are never written to config.json; the
+// secret store fills them in for deploys.
+//
+// Deploy code works on the flat shape the config had before environments existed;
+// resolveEnvironment() produces it for one environment.
+
+// Settings that belong to an environment rather than to the whole app
+const ENVIRONMENT_KEYS = [
+    'git_repo_url', 'username', 'password',
+    'git_auth', 'git_token_scheme', 'git_ssh_key', 'git_ssh_host_key', 'git_proxy',
+    'git_branch', 'git_deploy_mode', 'git_provider', 'git_api_url', 'git_api_token',
+    'reg_username', 'reg_password',
+    'confirm_deploys',
+    'service_configs'
+];
+
+// Environment settings that are credentials. They are kept out of config.json and stored
+// encrypted by utils/secrets.js instead.
+const SECRET_KEYS = ['password', 'git_api_token', 'reg_password'];
+
+// Production-like names get deploy confirmation switched on when the environment is created
+function isProductionName(name) {
+    return /^(prod|production|live)\b/i.test(name);
+}
+
+function emptyEnvironment(name, serviceNames = []) {
+    const serviceConfigs = {};
+    serviceNames.forEach(service => { serviceConfigs[service] = { registry_url: '', last_tag: '' }; });
+    return {
+        git_repo_url: '',
+        username: '',
+        password: '',
+        git_auth: 'password',
+        git_token_scheme: 'Bearer',
+        git_ssh_key: '',
+        git_ssh_host_key: '',
+        git_proxy: '',
+        git_branch: '',
+        git_deploy_mode: isProductionName(name) ? 'merge-request' : 'push',
+        git_provider: 'gitlab',
+        git_api_url: '',
+        git_api_token: '',
+        reg_username: '',
+        reg_password: '',
+        confirm_deploys: isProductionName(name),
+        service_configs: serviceConfigs
+    };
+}
+
+// Move a flat, pre-environment config into a single environment. The name is the one the
+// commit message {environment} placeholder used to be set to, if any. Returns true if changed.
+function migrateConfig(config) {
+    if (config.environments) return false;
+
+    const name = (config.environment || '').trim() || 'default';
+    const environment = {};
+    ENVIRONMENT_KEYS.forEach(key => {
+        if (config[key] !== undefined) environment[key] = config[key];
+        delete config[key];
+    });
+    delete config.environment;
+
+    // Defaults of a non-production environment, so a migrated config deploys exactly as before
+    config.environments = { [name]: { ...emptyEnvironment(''), confirm_deploys: isProductionName(name), ...environment } };
+    config.active_environment = name;
+    return true;
+}
+
+// Flat config for one environment: shared settings overlaid with the environment's own,
+// plus `environment` (its name) for commit messages and the deploy log.
+function resolveEnvironment(config, name = config.active_environment) {
+    const environment = (config.environments || {})[name];
+    if (!environment) {
+        throw new Error(`Unknown environment '${name}'`);
+    }
+
+    const shared = { ...config };
+    delete shared.environments;
+    delete shared.active_environment;
+    return { ...shared, ...environment, service_configs: environment.service_configs || {}, environment: name };
+}
+
+module.exports = { ENVIRONMENT_KEYS, SECRET_KEYS, emptyEnvironment, migrateConfig, resolveEnvironment, isProductionName };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const git = require('isomorphic-git');
+const { previousTag } = require('./manifest-updater');
+const { createMergeRequest, deployBranchName, releaseBranchName, resolveApi } = require('./merge-request');
+const { renderCommitMessage, renderReleaseMessage, commitOptions, operatorName } = require('./commit');
+const { gitAgent } = require('./git-remote');
+
+// Committing manifest changes to the cached working copy of the GitOps repo and publishing
+// them: pushed to the target branch, or to a deploy branch with a merge request. The caller
+// holds the repo's git lock (see withGitLock in main.js).
+
+// Bounded number of push attempts when the target branch moves while we are deploying
+const GIT_PUSH_ATTEMPTS = 4;
+
+// A push the remote refused because the branch moved on (someone else pushed first).
+// isomorphic-git rejects non-fast-forwards itself, but a push that loses the race on the
+// server comes back as a GitPushError instead.
+function isPushRejected(err) {
+    if (err.code === git.Errors.PushRejectedError.code) return true;
+    return err.code === git.Errors.GitPushError.code &&
+        /fast-forward|fetch first|stale info|failed to (update|lock)/i.test(err.message);
+}
+
+// Move the working copy onto the remote's latest `branch` (the remote's default branch when
+// not given), checked out as `localBranch` with any local edits discarded. Returns the branch.
+async function resetToRemote(globalConfig, { repoDir, remote, branch }, localBranch = branch) {
+    const { fetchHead, defaultBranch } = await git.fetch({
+        fs,
+        ...remote,
+        dir: repoDir,
+        remote: 'origin',
+        ref: branch,
+        depth: 1,
+        singleBranch: true,
+        tags: false
+    });
+    const remoteBranch = branch || defaultBranch.replace(/^refs\/heads\//, '');
+    const local = localBranch || remoteBranch;
+    await git.writeRef({ fs, dir: repoDir, ref: `refs/heads/${local}`, value: fetchHead, force: true });
+    await git.checkout({ fs, dir: repoDir, ref: local, force: true });
+    return remoteBranch;
+}
+
+// Commit the manifest changes of one or more services (a release) as a single commit and
+// publish it. In 'push' mode the commit goes straight to the target branch; in 'merge-request'
+// mode it goes to a deploy/<service>-<tag> (or deploy/release-<id>) branch and a merge request
+// into the target branch is opened through the Git server's API.
+// Returns { commit, branch, mergeRequest } (mergeRequest is null in 'push' mode; commit is
+// null when a retry finds the moved branch already carries the change).
+// `deploys` is [{ serviceName, tag, digest, changes }], with the changes of the edits already
+// applied (used for the message's {previous_tag}). `applyEdit` re-applies all of them and
+// returns their changes in the same order; when the push is rejected because the branch moved,
+// the new head is fetched, the edits are applied again on top of it and the push retried.
+async function publishManifestChange(globalConfig, checkout, filepaths, applyEdit, deploys, log) {
+    const { repoDir, remote, branch } = checkout;
+    const mergeRequest = globalConfig.git_deploy_mode === 'merge-request';
+    const release = deploys.length > 1;
+    const pushBranch = !mergeRequest ? branch
+        : release ? releaseBranchName(deploys) : deployBranchName(deploys[0].serviceName, deploys[0].tag);
+    // Checked before anything is committed so a bad signing setup fails early
+    const signing = commitOptions(globalConfig);
+    // Services whose manifest was already up to date are left out of the message
+    const messageFor = (edits) => {
+        const values = deploys.map(({ serviceName, tag, digest }, index) => ({
+            service: serviceName,
+            tag,
+            digest,
+            previous_tag: previousTag(edits[index]) || '',
+            environment: globalConfig.environment || '',
+            operator: operatorName(globalConfig)
+        })).filter((value, index) => edits[index].length > 0);
+        return values.length > 1
+            ? renderReleaseMessage(globalConfig.commit_message_template, values)
+            : renderCommitMessage(globalConfig.commit_message_template, values[0]);
+    };
+    let message = messageFor(deploys.map(d => d.changes));
+    const summary = deploys.map(d => `${d.serviceName}:${d.tag}`).join(', ');
+    const api = {
+        provider: globalConfig.git_provider,
+        repoUrl: globalConfig.git_repo_url,
+        apiUrl: globalConfig.git_api_url,
+        token: globalConfig.git_api_token || globalConfig.password
+    };
+
+    if (mergeRequest) {
+        resolveApi(api);
+        // The cached copy may still have this branch from an earlier deploy of the same tag
+        await git.branch({ fs, dir: repoDir, ref: pushBranch, checkout: true, force: true });
+    }
+
+    let oid;
+    for (let attempt = 1; ; attempt++) {
+        await git.add({ fs, dir: repoDir, filepath: filepaths });
+
+        oid = await git.commit({
+            fs,
+            dir: repoDir,
+            message,
+            ...signing
+        });
+
+        log(`Committed${signing.onSign ? ' (signed)' : ''} ${oid.substring(0, 7)}: ${message.split('\n')[0]}`);
+
+        log(`Pushing to ${pushBranch}...`);
+        try {
+            await git.push({
+                fs,
+                ...remote,
+                dir: repoDir,
+                remote: 'origin',
+                ref: pushBranch,
+                remoteRef: pushBranch,
+                // The deploy branch is ours alone; redeploying the same tag replaces it
+                force: mergeRequest
+            });
+            break;
+        } catch (err) {
+            if (!isPushRejected(err)) throw err;
+            if (attempt >= GIT_PUSH_ATTEMPTS) {
+                throw new Error(`Push to ${pushBranch} was still rejected after ${GIT_PUSH_ATTEMPTS} attempts; the branch keeps moving. The image${release ? 's are' : ' is'} pushed, deploy again to retry the git step.`);
+            }
+            log(`Push rejected, ${branch} has moved on. Fetching and re-applying the change (attempt ${attempt + 1}/${GIT_PUSH_ATTEMPTS})...`);
+            await resetToRemote(globalConfig, checkout, pushBranch);
+            const edits = applyEdit();
+            if (edits.every(e => e.length === 0)) {
+                log(`The new head already has this change, nothing left to push.`);
+                return { commit: null, branch: pushBranch, mergeRequest: null };
+            }
+            message = messageFor(edits);
+        }
+    }
+
+    const published = { commit: oid, branch: pushBranch, mergeRequest: null };
+    if (!mergeRequest) return published;
+
+    log(`--- Opening Merge Request (${globalConfig.git_provider}) ---`);
+    const result = await createMergeRequest({
+        ...api,
+        sourceBranch: pushBranch,
+        targetBranch: branch,
+        title: message.split('\n')[0],
+        description: message.split('\n').slice(1).join('\n').trim() || `Automated deploy of ${summary} by STH Deployer.`,
+        agent: gitAgent(globalConfig, resolveApi(api).base)
+    });
+
+    if (result.existing) {
+        log(`A merge request from ${pushBranch} into ${branch} is already open; its branch was updated.`);
+    } else {
+        log(`Merge request opened: ${result.url}`);
+    }
+    published.mergeRequest = { branch: pushBranch, ...result };
+    return published;
+}
+
+module.exports = { publishManifestChange, resetToRemote, isPushRejected, GIT_PUSH_ATTEMPTS };
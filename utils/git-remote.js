@@ -0,0 +1,296 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const http = require('isomorphic-git/http/node');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { hostOf, hostSettings, tlsOptions } = require('./tls');
+
+// How the app reaches the GitOps repo. Per environment:
+//   git_auth           'password'  username + password (HTTP basic auth, the default)
+//                      'token'     personal access token from the password field, sent as
+//                                  "Authorization: <git_token_scheme> <token>"
+//                      'ssh'       git@host:group/repo.git remotes, using git_ssh_key
+//   git_ssh_host_key   SHA256 fingerprint the SSH host's key must have (as ssh-keygen -lf
+//                      prints it). Empty means the host must already be in known_hosts.
+//   git_token_scheme   'Bearer' (GitHub, GitLab), 'token' (Gitea), or 'Basic' to send the
+//                      token as the password of the Git User (oauth2 when empty)
+//   git_proxy          http(s)://[user:pass@]proxy:port for HTTP(S) remotes
+//
+// isomorphic-git only speaks smart HTTP, so SSH remotes go through sshTransport below, which
+// runs the system ssh client and presents git-upload-pack / git-receive-pack as HTTP.
+
+// "git@host:group/repo.git" or "ssh://git@host:2222/group/repo.git"
+function isSshUrl(url) {
+    return /^ssh:\/\//i.test(url) || /^[\w.-]+@[^:/]+:(?!\/\/)/.test(url);
+}
+
+// { user, host, port, path } of an SSH remote
+function parseSshUrl(url) {
+    const full = url.match(/^ssh:\/\/(?:([^@/]+)@)?([^:/]+)(?::(\d+))?(\/.+)$/i);
+    if (full) {
+        return { user: full[1] || null, host: full[2], port: full[3] || null, path: full[4] };
+    }
+    const scp = url.match(/^([\w.-]+)@([^:/]+):(.+)$/);
+    if (scp) {
+        return { user: scp[1], host: scp[2], port: null, path: scp[3] };
+    }
+    throw new Error(`Cannot parse SSH remote ${url}`);
+}
+
+// pkt-line framing of git's wire protocol
+function pktLine(text) {
+    return `${(text.length + 4).toString(16).padStart(4, '0')}${text}`;
+}
+
+function sshError(message) {
+    const err = new Error(message);
+    err.code = 'SshError';
+    return err;
+}
+
+// "SHA256:<unpadded base64>" of a base64 public key, the form ssh and ssh-keygen -lf print
+function hostKeyFingerprint(key) {
+    return `SHA256:${crypto.createHash('sha256').update(Buffer.from(key, 'base64')).digest('base64').replace(/=+$/, '')}`;
+}
+
+// Accepts the fingerprint with or without its "SHA256:" prefix and base64 padding
+function normalizeFingerprint(fingerprint) {
+    return `SHA256:${fingerprint.trim().replace(/^SHA256:/i, '').replace(/=+$/, '')}`;
+}
+
+// Scans of pinned host keys, by host, port and fingerprint
+const pinnedHosts = new Map();
+
+// With git_ssh_host_key set, ssh-keyscan fetches the keys the host offers and only the one
+// matching the fingerprint goes into a known_hosts file of our own, which ssh then checks
+// the connection against. That file lives in knownHostsDir, one per host and port, and is
+// rewritten by the next scan. Resolves to it.
+function pinnedKnownHosts(remote, fingerprint, knownHostsDir) {
+    if (!knownHostsDir) {
+        throw new Error('Pinning the SSH host key needs a directory for its known_hosts file');
+    }
+    const id = `${remote.host}:${remote.port || 22}#${fingerprint}`;
+    if (!pinnedHosts.has(id)) {
+        const pending = new Promise((resolve, reject) => {
+            const child = spawn('ssh-keyscan', [...(remote.port ? ['-p', remote.port] : []), remote.host], { stdio: ['ignore', 'pipe', 'pipe'] });
+            const output = [];
+            child.stdout.on('data', chunk => output.push(chunk));
+            child.on('error', (err) => reject(sshError(`Cannot run ssh-keyscan (${err.message})`)));
+            child.on('close', () => {
+                // "<host> <type> <base64 key>" per key, comments start with #
+                const matching = Buffer.concat(output).toString().split('\n')
+                    .filter(line => !line.startsWith('#') && line.trim().split(/\s+/).length >= 3)
+                    .filter(line => hostKeyFingerprint(line.trim().split(/\s+/)[2]) === fingerprint);
+                if (matching.length === 0) {
+                    reject(sshError(`None of the host keys ${remote.host} offers has the configured fingerprint ${fingerprint}`));
+                    return;
+                }
+                const file = path.join(knownHostsDir, `known_hosts-${`${remote.host}-${remote.port || 22}`.replace(/[^\w.-]+/g, '_')}`);
+                fs.mkdirSync(knownHostsDir, { recursive: true });
+                fs.writeFileSync(file, `${matching.join('\n')}\n`);
+                resolve(file);
+            });
+        });
+        // A failed scan is retried by the next request
+        pending.catch(() => pinnedHosts.delete(id));
+        pinnedHosts.set(id, pending);
+    }
+    return pinnedHosts.get(id);
+}
+
+// ssh's own "Host key verification failed." says nothing about what to do
+function hostKeyError(remote, fingerprint) {
+    if (fingerprint) {
+        return sshError(`The SSH host key of ${remote.host} does not match the configured fingerprint ${fingerprint}`);
+    }
+    const scan = `ssh-keyscan ${remote.port ? `-p ${remote.port} ` : ''}${remote.host}`;
+    return sshError(
+        `The SSH host key of ${remote.host} is not in known_hosts. Check the fingerprints "${scan} | ssh-keygen -lf -" prints ` +
+        `with the git host's administrator, then add the key with "${scan} >> ~/.ssh/known_hosts" or set SSH Host Key Fingerprint`
+    );
+}
+
+// Run `git-upload-pack` / `git-receive-pack` for the repo on the SSH host. Resolves once the
+// server's ref advertisement (everything up to the first flush-pkt) has arrived, with
+// { child, advertisement, rest } where rest is any output already read past it.
+// Unknown host keys are refused, never added to known_hosts.
+async function openService(remote, { keyFile, fingerprint, knownHostsDir }, service) {
+    const knownHosts = fingerprint ? await pinnedKnownHosts(remote, fingerprint, knownHostsDir) : null;
+    const args = [
+        '-o', 'BatchMode=yes',
+        '-o', 'StrictHostKeyChecking=yes',
+        ...(knownHosts ? ['-o', `UserKnownHostsFile=${knownHosts}`] : []),
+        ...(keyFile ? ['-i', keyFile, '-o', 'IdentitiesOnly=yes'] : []),
+        ...(remote.port ? ['-p', remote.port] : []),
+        remote.user ? `${remote.user}@${remote.host}` : remote.host,
+        `${service} '${remote.path.replace(/'/g, "'\\''")}'`
+    ];
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.env.GIT_SSH || 'ssh', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+        const stderr = [];
+        let buffer = Buffer.alloc(0);
+        let settled = false;
+
+        const onData = (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            // Walk the pkt-lines received so far looking for the flush that ends the advertisement
+            let offset = 0;
+            while (buffer.length >= offset + 4) {
+                const length = parseInt(buffer.subarray(offset, offset + 4).toString('ascii'), 16);
+                if (Number.isNaN(length)) {
+                    fail(sshError(`Unexpected response from ${service} on ${remote.host}`));
+                    return;
+                }
+                if (length === 0) {
+                    settled = true;
+                    child.stdout.off('data', onData);
+                    child.stdout.pause();
+                    resolve({ child, advertisement: buffer.subarray(0, offset + 4), rest: buffer.subarray(offset + 4), stderr });
+                    return;
+                }
+                if (buffer.length < offset + length) return;
+                offset += length;
+            }
+        };
+
+        const fail = (err) => {
+            if (settled) return;
+            settled = true;
+            child.kill();
+            reject(err);
+        };
+
+        child.stdout.on('data', onData);
+        child.stderr.on('data', chunk => stderr.push(chunk));
+        child.stdin.on('error', () => { });
+        child.on('error', (err) => fail(sshError(`Cannot run ssh (${err.message})`)));
+        child.on('close', (code) => {
+            const output = Buffer.concat(stderr).toString();
+            if (/Host key verification failed/.test(output)) {
+                fail(hostKeyError(remote, fingerprint));
+                return;
+            }
+            const detail = output.trim().split('\n').pop();
+            fail(sshError(`SSH connection to ${remote.host} failed${code ? ` (exit code ${code})` : ''}${detail ? `: ${detail}` : ''}`));
+        });
+    });
+}
+
+async function readBody(body) {
+    if (!body) return Buffer.alloc(0);
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+}
+
+// isomorphic-git HTTP client that talks to an SSH remote. Smart HTTP is stateless, so every
+// request starts its own ssh session:
+//   GET  .../info/refs?service=X   the advertisement, with the "# service=X" header HTTP adds
+//   POST .../X                     the advertisement is skipped, the request body is sent and
+//                                  the server's reply streamed back as the response body
+// ssh is { keyFile, fingerprint, knownHostsDir }: the private key to log in with instead of
+// ssh's defaults, and the host key pin (see pinnedKnownHosts).
+function sshTransport(remote, ssh = {}) {
+    return {
+        async request({ url, method, body }) {
+            // The URL is still "http::ssh://..." here; only the service at its end matters
+            const match = url.match(method === 'GET' ? /\/info\/refs\?service=([\w-]+)$/ : /\/([\w-]+)$/);
+            const service = match && match[1];
+            if (!['git-upload-pack', 'git-receive-pack'].includes(service)) {
+                throw sshError(`Unsupported git request ${method} ${url}`);
+            }
+
+            const { child, advertisement, rest, stderr } = await openService(remote, ssh, service);
+            const headers = { 'content-type': `application/x-${service}-${method === 'GET' ? 'advertisement' : 'result'}` };
+
+            if (method === 'GET') {
+                // A flush tells the server we are done without asking for anything
+                child.stdin.end('0000');
+                child.stdout.resume();
+                const preamble = Buffer.from(`${pktLine(`# service=${service}\n`)}0000`);
+                return { url, method, statusCode: 200, statusMessage: 'OK', headers, body: [preamble, advertisement] };
+            }
+
+            child.removeAllListeners('close');
+            const exited = new Promise(resolve => child.on('close', resolve));
+            child.stdin.end(await readBody(body));
+
+            // Stream the reply; a server that exits with an error after it has been read
+            // still fails the request
+            async function* reply() {
+                if (rest.length > 0) yield rest;
+                for await (const chunk of child.stdout) yield chunk;
+                const code = await exited;
+                if (code) {
+                    const detail = Buffer.concat(stderr).toString().trim().split('\n').pop();
+                    throw sshError(`${service} on ${remote.host} exited with code ${code}${detail ? `: ${detail}` : ''}`);
+                }
+            }
+            return { url, method, statusCode: 200, statusMessage: 'OK', headers, body: reply() };
+        }
+    };
+}
+
+// Agent for requests to the git host (the repo itself and its merge request API): through
+// git_proxy and/or with the host's CA bundle, mTLS and insecure settings. Undefined when
+// the defaults do.
+function gitAgent(config, url) {
+    const secure = /^https:/i.test(url);
+    const tls = secure ? tlsOptions(hostSettings(config, hostOf(url))) : undefined;
+    const proxy = (config.git_proxy || '').trim();
+    if (proxy) {
+        return secure ? new HttpsProxyAgent(proxy, tls || {}) : new HttpProxyAgent(proxy);
+    }
+    return tls ? new https.Agent({ keepAlive: true, ...tls }) : undefined;
+}
+
+// isomorphic-git's node transport with the agent for the git host
+function httpTransport(config, url) {
+    const agent = gitAgent(config, url);
+    if (!agent) return http;
+    return { request: (req) => http.request({ ...req, agent }) };
+}
+
+// Options for git.clone / fetch / push: { url, http } plus the credentials, as headers for a
+// token or an onAuth callback for a password. knownHostsDir keeps the known_hosts files of
+// pinned SSH host keys.
+function gitRemote(config, { knownHostsDir = null } = {}) {
+    const url = config.git_repo_url;
+    if (config.git_auth === 'ssh' || isSshUrl(url)) {
+        if (!isSshUrl(url)) {
+            throw new Error(`SSH access needs an SSH repo URL such as git@host:group/repo.git, not ${url}`);
+        }
+        // isomorphic-git only hands http(s) remotes to a transport; "http::" forces that here
+        const remote = parseSshUrl(url);
+        const keyFile = (config.git_ssh_key || '').trim().replace(/^~(?=$|[\\/])/, os.homedir()) || null;
+        const fingerprint = (config.git_ssh_host_key || '').trim() ? normalizeFingerprint(config.git_ssh_host_key) : null;
+        return {
+            url: `http::ssh://${remote.host}${remote.port ? `:${remote.port}` : ''}${remote.path.startsWith('/') ? '' : '/'}${remote.path}`,
+            http: sshTransport(remote, { keyFile, fingerprint, knownHostsDir })
+        };
+    }
+
+    const options = { url, http: httpTransport(config, url) };
+    if (config.git_auth === 'token') {
+        if (!config.password) {
+            throw new Error('Token access needs a personal access token in the Git Pass / Token field');
+        }
+        const scheme = (config.git_token_scheme || 'Bearer').trim();
+        if (scheme.toLowerCase() === 'basic') {
+            options.headers = { Authorization: `Basic ${Buffer.from(`${config.username || 'oauth2'}:${config.password}`).toString('base64')}` };
+        } else {
+            options.headers = { Authorization: `${scheme} ${config.password}` };
+        }
+        return options;
+    }
+
+    options.onAuth = () => ({ username: config.username, password: config.password });
+    return options;
+}
+
+module.exports = { gitRemote, gitAgent, isSshUrl, parseSshUrl, sshTransport, hostKeyFingerprint };
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+// Structure-aware image updates for the GitOps repo. Files are parsed to find the exact
+// nodes to change, but edits are spliced into the original text by source offset, so
+// comments, quoting, indentation and key order are left exactly as they were.
+//
+// Understands three layouts:
+//   raw manifests   containers[].image: harbor/sth/sth-api:v2.0.5
+//   Helm values     image: { repository: harbor/sth/sth-api, tag: v2.0.5, digest: ... }
+//   Kustomize       images: [{ name: sth-api, newName: ..., newTag: v2.0.5, digest: ... }]
+
+// Suffix written after the image name, depending on the service's pin mode:
+// 'tag' -> ":v2.0.5", 'tag-digest' -> ":v2.0.5@sha256:...", 'digest' -> "@sha256:..."
+function imageReference(tag, digest, pinMode = 'tag') {
+    if (pinMode === 'digest') return `@${digest}`;
+    if (pinMode === 'tag-digest') return `:${tag}@${digest}`;
+    return `:${tag}`;
+}
+
+// Split "harbor:80/sth/sth-api:v2.0.5@sha256:..." into name, tag and digest
+function parseImage(ref) {
+    const [nameAndTag, digest = null] = String(ref).split('@');
+    const slash = nameAndTag.lastIndexOf('/');
+    const colon = nameAndTag.lastIndexOf(':');
+    if (colon > slash) {
+        return { name: nameAndTag.substring(0, colon), tag: nameAndTag.substring(colon + 1), digest };
+    }
+    return { name: nameAndTag, tag: null, digest };
+}
+
+// Only the image itself matches: sth-worker does not match sth-worker-exporter sidecars
+function matchesImage(name, identifier) {
+    return typeof name === 'string' && name.split('/').pop() === identifier;
+}
+
+function scalarValue(node) {
+    return YAML.isScalar(node) ? node.value : undefined;
+}
+
+// Scalar as it is written in the file, so an unquoted tag 2.0 reads back as "2.0", not 2
+function scalarText(node) {
+    if (!YAML.isScalar(node) || node.value === null || node.value === '') return null;
+    return typeof node.source === 'string' ? node.source : String(node.value);
+}
+
+// Render a value the way the original scalar was written. Plain scalars that YAML would
+// read back as something other than a string (e.g. tag 2.0) get double quotes.
+function renderScalar(value, original) {
+    const type = original && original.type;
+    if (type === 'QUOTE_DOUBLE') return JSON.stringify(value);
+    if (type === 'QUOTE_SINGLE') return `'${value.replace(/'/g, "''")}'`;
+    return typeof YAML.parse(value) === 'string' ? value : JSON.stringify(value);
+}
+
+// Readable key path ("spec.template.spec.containers[1].image") of a key in a visited map
+function describePath(ancestry, map, key) {
+    const chain = [...ancestry, map];
+    const parts = [];
+    chain.forEach((node, index) => {
+        const next = chain[index + 1];
+        if (YAML.isPair(node)) parts.push(String(scalarValue(node.key)));
+        if (YAML.isSeq(node) && next) {
+            const position = `[${node.items.indexOf(next)}]`;
+            if (parts.length > 0) parts[parts.length - 1] += position;
+            else parts.push(position);
+        }
+    });
+    parts.push(key);
+    return parts.join('.');
+}
+
+class ManifestEditor {
+    constructor(content) {
+        this.content = content;
+        this.edits = []; // { start, end, text }
+        this.changes = []; // { path, from, to }
+        this.removed = new Set(); // pairs remove() took out, never used as an anchor by set()
+        // Added lines end like the file's own, so a CRLF file stays CRLF
+        this.eol = content.includes('\r\n') ? '\r\n' : '\n';
+    }
+
+    // Set a scalar key. New keys go on their own line right after the first existing
+    // key named in `after` (a plain scalar line), or after the last pair. In flow mappings
+    // ({ name: x, newTag: y }) they are spliced in as ", key: value" after that pair instead.
+    set(map, key, value, path, after = []) {
+        const pair = map.items.find(p => scalarValue(p.key) === key);
+        if (pair) {
+            const current = scalarValue(pair.value);
+            if (current === value) return;
+            if (!pair.value || !pair.value.range || pair.value.range[0] === pair.value.range[1]) {
+                // "tag:" with nothing after it: the value goes right after the colon
+                const colon = this.content.indexOf(':', pair.key.range[1]);
+                this.edits.push({ start: colon + 1, end: colon + 1, text: ` ${renderScalar(value)}` });
+            } else {
+                const [start, end] = pair.value.range;
+                this.edits.push({ start, end, text: renderScalar(value, pair.value) });
+            }
+            // As written, so an unquoted tag 2.0 is reported as "2.0" rather than 2
+            this.changes.push({ path, from: scalarText(pair.value), to: value });
+            return;
+        }
+
+        const live = map.items.filter(p => !this.removed.has(p));
+        const anchorKey = after.find(k => live.some(p => scalarValue(p.key) === k));
+        const last = anchorKey
+            ? live.find(p => scalarValue(p.key) === anchorKey)
+            : live[live.length - 1];
+        if (!last) {
+            throw new Error(`Cannot add ${path} to an empty mapping`);
+        }
+        const lastEnd = last.value ? last.value.range[1] : last.key.range[1];
+        if (map.flow) {
+            this.edits.push({ start: lastEnd, end: lastEnd, text: `, ${key}: ${renderScalar(value)}` });
+        } else {
+            const keyStart = last.key.range[0];
+            const indent = keyStart - this.content.lastIndexOf('\n', keyStart - 1) - 1;
+            const lineEnd = this.lineEnd(lastEnd);
+            this.edits.push({ start: lineEnd, end: lineEnd, text: `${this.eol}${' '.repeat(indent)}${key}: ${renderScalar(value)}` });
+        }
+        this.changes.push({ path, from: undefined, to: value });
+    }
+
+    remove(map, key, path) {
+        const index = map.items.findIndex(p => scalarValue(p.key) === key);
+        if (index === -1) return;
+        const pair = map.items[index];
+        this.removed.add(pair);
+        const pairEnd = pair.value ? pair.value.range[1] : pair.key.range[1];
+        if (map.flow) {
+            // Take the pair out together with one of the commas around it
+            const next = map.items[index + 1];
+            const previous = map.items[index - 1];
+            if (next) {
+                this.edits.push({ start: pair.key.range[0], end: next.key.range[0], text: '' });
+            } else if (previous) {
+                this.edits.push({ start: previous.value ? previous.value.range[1] : previous.key.range[1], end: pairEnd, text: '' });
+            } else {
+                this.edits.push({ start: pair.key.range[0], end: pairEnd, text: '' });
+            }
+        } else {
+            const lineStart = this.content.lastIndexOf('\n', pair.key.range[0] - 1);
+            if (this.content.substring(lineStart + 1, pair.key.range[0]).trim() === '') {
+                // Drop the whole line, including its comment, from the end of the line before
+                const start = lineStart > 0 && this.content[lineStart - 1] === '\r' ? lineStart - 1 : lineStart;
+                this.edits.push({ start: Math.max(0, start), end: this.lineEnd(pairEnd), text: '' });
+            } else {
+                // First key of a "- key: value" item: the next key moves up after the dash
+                const next = map.items[index + 1];
+                if (!next) {
+                    throw new Error(`Cannot remove ${path}, the only key of its list item`);
+                }
+                this.edits.push({ start: pair.key.range[0], end: next.key.range[0], text: '' });
+            }
+        }
+        this.changes.push({ path, from: scalarText(pair.value), to: undefined });
+    }
+
+    // Where the line holding offset ends, before its "\n" or "\r\n"
+    lineEnd(offset) {
+        const newline = this.content.indexOf('\n', offset);
+        if (newline === -1) return this.content.length;
+        return this.content[newline - 1] === '\r' ? newline - 1 : newline;
+    }
+
+    apply() {
+        let content = this.content;
+        // Back to front, so earlier offsets stay valid. At the same offset a removal goes
+        // before an insertion, or it would take the inserted text with it.
+        [...this.edits]
+            .sort((a, b) => b.start - a.start || (b.end - b.start) - (a.end - a.start))
+            .forEach(({ start, end, text }) => {
+                content = content.substring(0, start) + text + content.substring(end);
+            });
+        return content;
+    }
+}
+
+// Update every reference to the image in YAML source text.
+//   identifier  last path segment of the image name (e.g. "sth-worker")
+//   container   optional container name; raw manifests then only touch that container
+// Returns { content, changes: [{ path, from, to }] }.
+function updateManifest(content, { identifier, tag, digest, pinMode = 'tag', container = null }) {
+    if (pinMode !== 'tag' && !digest) {
+        throw new Error(`Pin mode '${pinMode}' needs the image digest`);
+    }
+
+    const editor = new ManifestEditor(content);
+    const documents = YAML.parseAllDocuments(content);
+
+    documents.forEach((doc, docIndex) => {
+        if (doc.errors.length > 0) {
+            throw new Error(`YAML parse error: ${doc.errors[0].message}`);
+        }
+        const prefix = documents.length > 1 ? `[doc ${docIndex}] ` : '';
+
+        // Kustomize: top-level images list
+        const kustomizeImages = YAML.isMap(doc.contents) && doc.contents.get('images', true);
+        if (YAML.isSeq(kustomizeImages)) {
+            kustomizeImages.items.forEach((entry, index) => {
+                if (!YAML.isMap(entry)) return;
+                const name = entry.get('newName') || entry.get('name');
+                if (!matchesImage(name, identifier) && !matchesImage(entry.get('name'), identifier)) return;
+
+                const path = `${prefix}images[${index}]`;
+                if (pinMode === 'digest') {
+                    editor.remove(entry, 'newTag', `${path}.newTag`);
+                    editor.set(entry, 'digest', digest, `${path}.digest`, ['newTag', 'newName', 'name']);
+                } else {
+                    editor.set(entry, 'newTag', tag, `${path}.newTag`, ['newName', 'name']);
+                    if (pinMode === 'tag-digest') editor.set(entry, 'digest', digest, `${path}.digest`, ['newTag', 'newName', 'name']);
+                    else editor.remove(entry, 'digest', `${path}.digest`);
+                }
+            });
+        }
+
+        YAML.visit(doc, {
+            Map(key, map, ancestry) {
+                const at = (k) => prefix + describePath(ancestry, map, k);
+
+                // Helm values: repository + tag siblings
+                const repository = map.get('repository');
+                if (matchesImage(repository, identifier) && map.has('tag')) {
+                    // The tag is updated in digest mode too: charts pull by the digest when one is
+                    // set, and deploy history and rollback read the tag
+                    editor.set(map, 'tag', tag, at('tag'));
+                    if (pinMode !== 'tag') editor.set(map, 'digest', digest, at('digest'), ['tag']);
+                    else if (map.has('digest')) editor.set(map, 'digest', '', at('digest'));
+                    return;
+                }
+
+                // Raw manifests (and Helm values that inline the full image string)
+                const image = map.get('image');
+                if (typeof image !== 'string') return;
+                const { name } = parseImage(image);
+                if (!matchesImage(name, identifier)) return;
+                if (container && map.has('name') && map.get('name') !== container) return;
+
+                editor.set(map, 'image', `${name}${imageReference(tag, digest, pinMode)}`, at('image'));
+            }
+        });
+    });
+
+    return { content: editor.apply(), changes: editor.changes };
+}
+
+// Image references to the service in YAML source text, in the same three layouts
+// updateManifest understands: [{ path, tag, digest }]. Tags or digests that are not set
+// come back as null. Unparseable documents are skipped rather than thrown, since this is
+// also run over old revisions of the file.
+function findImages(content, { identifier, container = null }) {
+    const found = [];
+    const documents = YAML.parseAllDocuments(content);
+
+    documents.forEach((doc, docIndex) => {
+        if (doc.errors.length > 0) return;
+        const prefix = documents.length > 1 ? `[doc ${docIndex}] ` : '';
+
+        const kustomizeImages = YAML.isMap(doc.contents) && doc.contents.get('images', true);
+        if (YAML.isSeq(kustomizeImages)) {
+            kustomizeImages.items.forEach((entry, index) => {
+                if (!YAML.isMap(entry)) return;
+                if (!matchesImage(entry.get('newName') || entry.get('name'), identifier) && !matchesImage(entry.get('name'), identifier)) return;
+                found.push({ path: `${prefix}images[${index}]`, tag: scalarText(entry.get('newTag', true)), digest: scalarText(entry.get('digest', true)) });
+            });
+        }
+
+        YAML.visit(doc, {
+            Map(key, map, ancestry) {
+                if (matchesImage(map.get('repository'), identifier) && map.has('tag')) {
+                    found.push({ path: prefix + describePath(ancestry, map, 'tag'), tag: scalarText(map.get('tag', true)), digest: scalarText(map.get('digest', true)) });
+                    return;
+                }
+
+                const image = map.get('image');
+                if (typeof image !== 'string') return;
+                const { name, tag, digest } = parseImage(image);
+                if (!matchesImage(name, identifier)) return;
+                if (container && map.has('name') && map.get('name') !== container) return;
+                found.push({ path: prefix + describePath(ancestry, map, 'image'), tag, digest });
+            }
+        });
+    });
+
+    return found;
+}
+
+// Tag the manifest pointed at before an update, from the changes updateManifest reported
+function previousTag(changes) {
+    for (const { path, from } of changes) {
+        if (typeof from !== 'string' || from === '') continue;
+        if (/(^|\.)image$/.test(path)) {
+            const { tag } = parseImage(from);
+            if (tag) return tag;
+        } else if (/(^|\.)(tag|newTag)$/.test(path)) {
+            return from;
+        }
+    }
+    return null;
+}
+
+function updateManifestFile(filePath, options) {
+    const result = updateManifest(fs.readFileSync(filePath, 'utf8'), options);
+    if (result.changes.length > 0) {
+        fs.writeFileSync(filePath, result.content);
+    }
+    return result;
+}
+
+module.exports = { updateManifest, updateManifestFile, findImages, imageReference, parseImage, previousTag };
@@ -0,0 +1,109 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { isSshUrl, parseSshUrl } = require('./git-remote');
+
+// Opens merge requests (pull requests) on the Git server hosting the GitOps repo, for
+// branches that need review before a deploy lands. Supported providers:
+//   gitlab  POST /api/v4/projects/:id/merge_requests
+//   gitea   POST /api/v1/repos/:owner/:repo/pulls
+//   github  POST /repos/:owner/:repo/pulls (api.github.com, or /api/v3 on Enterprise)
+
+// "https://git.local/group/sub/repo.git" -> { origin: "https://git.local", project: "group/sub/repo" }
+// SSH remotes ("git@git.local:group/sub/repo.git") map to the same host over HTTPS
+function parseRepoUrl(repoUrl) {
+    let url;
+    if (isSshUrl(repoUrl)) {
+        const { host, path } = parseSshUrl(repoUrl);
+        url = new URL(`https://${host}/${path.replace(/^\/+/, '')}`);
+    } else {
+        url = new URL(repoUrl);
+    }
+    const project = url.pathname.replace(/^\/+/, '').replace(/\.git$/, '').replace(/\/+$/, '');
+    if (!project.includes('/')) {
+        throw new Error(`Cannot determine the project path from repo URL ${repoUrl}`);
+    }
+    return { origin: url.origin, project };
+}
+
+// API root for a provider, unless one is configured explicitly (e.g. a GitLab under a sub-path)
+function defaultApiUrl(provider, origin) {
+    if (provider === 'gitlab') return `${origin}/api/v4`;
+    if (provider === 'gitea') return `${origin}/api/v1`;
+    if (provider === 'github') {
+        return origin === 'https://github.com' ? 'https://api.github.com' : `${origin}/api/v3`;
+    }
+    throw new Error(`Unknown merge request provider '${provider}' (expected gitlab, gitea or github)`);
+}
+
+// Resolve and validate the API settings. Called before anything is pushed, so a
+// misconfigured provider fails the deploy without leaving a branch behind.
+function resolveApi({ provider, repoUrl, apiUrl, token }) {
+    const { origin, project } = parseRepoUrl(repoUrl);
+    const base = (apiUrl || defaultApiUrl(provider, origin)).replace(/\/+$/, '');
+    if (!token) {
+        throw new Error('Merge request mode needs an API token (or the git password set to a personal access token)');
+    }
+    return { base, project };
+}
+
+// Branch name safe for every provider: "deploy/sth-api-v2.0.5"
+function deployBranchName(serviceName, tag) {
+    return `deploy/${serviceName}-${tag}`.replace(/[^A-Za-z0-9._/-]+/g, '-').replace(/\.{2,}/g, '.');
+}
+
+// Branch of a release deploying several services: "deploy/release-1a2b3c4d". The suffix
+// hashes the services and tags, so redeploying the same release reuses its branch.
+function releaseBranchName(deploys) {
+    const id = crypto.createHash('sha1')
+        .update(deploys.map(d => `${d.serviceName}:${d.tag}`).sort().join('\n'))
+        .digest('hex')
+        .substring(0, 8);
+    return `deploy/release-${id}`;
+}
+
+// Open a merge request from sourceBranch into targetBranch and return { url, id }, or
+// { existing: true } when one is already open for that branch.
+//   provider   gitlab | gitea | github
+//   repoUrl    clone URL of the GitOps repo
+//   apiUrl     optional API root overriding the provider default
+//   token      personal access token with API scope
+//   agent      optional http(s) agent for the API (proxy, TLS), matching the API URL's scheme
+async function createMergeRequest({ provider, repoUrl, apiUrl, token, sourceBranch, targetBranch, title, description = '', agent }) {
+    const { base, project } = resolveApi({ provider, repoUrl, apiUrl, token });
+
+    let url;
+    let body;
+    let headers;
+    if (provider === 'gitlab') {
+        url = `${base}/projects/${encodeURIComponent(project)}/merge_requests`;
+        body = { source_branch: sourceBranch, target_branch: targetBranch, title, description, remove_source_branch: true };
+        headers = { 'PRIVATE-TOKEN': token };
+    } else {
+        url = `${base}/repos/${project}/pulls`;
+        body = { head: sourceBranch, base: targetBranch, title, body: description };
+        headers = provider === 'github'
+            ? { Authorization: `Bearer ${token}`, Accept: 'application/vnd.github+json' }
+            : { Authorization: `token ${token}` };
+    }
+
+    try {
+        const resp = await axios.post(url, body, { headers, ...(/^https:/i.test(url) ? { httpsAgent: agent } : { httpAgent: agent }) });
+        return {
+            url: resp.data.web_url || resp.data.html_url,
+            id: resp.data.iid || resp.data.number
+        };
+    } catch (err) {
+        // Redeploying the same tag force-pushes the branch, which updates the request already open
+        const status = err.response && err.response.status;
+        if (status === 409 || (status === 422 && /already exists/i.test(JSON.stringify(err.response.data)))) {
+            return { url: null, id: null, existing: true };
+        }
+        if (err.response) {
+            const detail = err.response.data && (err.response.data.message || err.response.data.error);
+            throw new Error(`Creating the merge request failed (HTTP ${err.response.status})${detail ? `: ${JSON.stringify(detail)}` : ''}`);
+        }
+        throw err;
+    }
+}
+
+module.exports = { createMergeRequest, deployBranchName, releaseBranchName, parseRepoUrl, resolveApi };
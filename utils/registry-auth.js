@@ -0,0 +1,130 @@
+const axios = require('axios');
+
+// Renew tokens this long before they expire so in-flight requests don't race the expiry
+const EXPIRY_MARGIN_MS = 30 * 1000;
+// The distribution token spec says to assume 60 seconds when expires_in is missing
+const DEFAULT_TOKEN_LIFETIME_S = 60;
+
+// Parse `Bearer realm="...",service="...",scope="..."` (or Basic) into { scheme, params }
+function parseChallenge(header) {
+    const [scheme, ...rest] = header.trim().split(/\s+/);
+    const params = {};
+    const pattern = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(rest.join(' '))) !== null) {
+        params[match[1]] = match[2];
+    }
+    return { scheme: scheme.toLowerCase(), params };
+}
+
+// Scopes a registry call needs: pull for reads, pull,push for writes, plus pull on
+// the source repository of a cross-repository mount.
+function scopesFor(method, url) {
+    const { pathname, searchParams } = new URL(url);
+    const match = pathname.match(/^\/v2\/(.+?)\/(blobs|manifests|tags)\//);
+    if (!match) return [];
+
+    const write = !['GET', 'HEAD'].includes(method.toUpperCase());
+    const scopes = [`repository:${match[1]}:${write ? 'pull,push' : 'pull'}`];
+    if (searchParams.get('from')) {
+        scopes.push(`repository:${searchParams.get('from')}:pull`);
+    }
+    return scopes;
+}
+
+// Handles registry authentication for RegistryClient: Basic credentials are kept for
+// the lifetime of the client and used to obtain Bearer tokens per scope set, which are
+// cached until shortly before they expire. Without credentials tokens are anonymous.
+class RegistryAuth {
+    constructor(username, password, logger = console.log, httpsAgent = undefined) {
+        this.log = logger;
+        this.httpsAgent = httpsAgent;
+        this.basic = username && password
+            ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+            : null;
+        this.bearer = null; // { realm, service } once the registry has asked for tokens
+        this.tokens = new Map(); // scope key -> { token, refreshAt }
+        this.pending = new Map(); // scope key -> in-flight token request
+    }
+
+    // Authorization header for a request needing these scopes, or null
+    async authorize(scopes) {
+        if (!this.bearer) return this.basic;
+        return `Bearer ${await this.getToken(scopes)}`;
+    }
+
+    // Called when a request came back 401. Returns true if retrying makes sense.
+    async handleChallenge(header, scopes) {
+        const { scheme, params } = parseChallenge(header || '');
+        if (scheme !== 'bearer' || !params.realm) return false;
+
+        this.bearer = { realm: params.realm, service: params.service };
+        // The challenge may name the exact scope the registry wants
+        const wanted = params.scope ? [...new Set([...scopes, ...params.scope.split(' ')])] : scopes;
+        this.tokens.delete(scopeKey(scopes));
+        await this.getToken(wanted, true);
+        if (wanted !== scopes) {
+            this.tokens.set(scopeKey(scopes), this.tokens.get(scopeKey(wanted)));
+        }
+        return true;
+    }
+
+    async getToken(scopes, force = false) {
+        const key = scopeKey(scopes);
+        const cached = this.tokens.get(key);
+        if (!force && cached && cached.refreshAt > Date.now()) {
+            return cached.token;
+        }
+
+        // Parallel uploads share one token request per scope set
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.fetchToken(scopes).finally(() => this.pending.delete(key)));
+        }
+        const fresh = await this.pending.get(key);
+        this.tokens.set(key, fresh);
+        return fresh.token;
+    }
+
+    async fetchToken(scopes) {
+        const query = new URLSearchParams();
+        if (this.bearer.service) query.append('service', this.bearer.service);
+        scopes.forEach(scope => query.append('scope', scope));
+
+        const separator = this.bearer.realm.includes('?') ? '&' : '?';
+        const url = `${this.bearer.realm}${separator}${query.toString()}`;
+        const headers = this.basic ? { Authorization: this.basic } : {};
+
+        this.log(`Requesting ${this.basic ? '' : 'anonymous '}registry token${scopes.length ? ` for ${scopes.join(' ')}` : ''}...`);
+
+        let resp;
+        try {
+            resp = await axios.get(url, { headers, httpsAgent: this.httpsAgent });
+        } catch (err) {
+            if (err.response && (err.response.status === 401 || err.response.status === 403)) {
+                throw new Error(`Registry authentication failed: token service rejected ${this.basic ? 'the configured credentials' : 'anonymous access'} (HTTP ${err.response.status})`);
+            }
+            throw err;
+        }
+
+        // Docker Hub style returns `token`, OAuth2 style `access_token`; both are accepted
+        const token = resp.data && (resp.data.token || resp.data.access_token);
+        if (!token) {
+            throw new Error('Registry authentication failed: token service returned no token');
+        }
+
+        // Count from issued_at when given (but never from the future, in case of clock skew),
+        // and keep short-lived tokens usable for at least half their lifetime
+        const lifetime = (resp.data.expires_in || DEFAULT_TOKEN_LIFETIME_S) * 1000;
+        const issuedAt = Date.parse(resp.data.issued_at);
+        const start = Number.isNaN(issuedAt) ? Date.now() : Math.min(issuedAt, Date.now());
+        return { token, refreshAt: start + lifetime - Math.min(EXPIRY_MARGIN_MS, lifetime / 2) };
+    }
+}
+
+function scopeKey(scopes) {
+    return [...scopes].sort().join(' ');
+}
+
+RegistryAuth.scopesFor = scopesFor;
+
+module.exports = RegistryAuth;
@@ -4,111 +4,432 @@ const axios = require('axios');
 const tar = require('tar-stream');
 const crypto = require('crypto');
 const zlib = require('zlib');
+const os = require('os');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSessionStore = require('./upload-sessions');
+const RegistryAuth = require('./registry-auth');
+
+// Size of each PATCH request in a chunked blob upload
+const DEFAULT_CHUNK_SIZE = 16 * 1024 * 1024;
+// Attempts per request before a transient failure is surfaced, and the first backoff delay
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_RETRY_DELAY = 1000;
+// Blobs uploaded at the same time, and the minimum gap between progress events
+const DEFAULT_CONCURRENCY = 3;
+const PROGRESS_INTERVAL = 250;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Map over items with at most `limit` calls in flight, keeping result order.
+// After the first failure no new items are started; the calls already running are waited
+// for, since callers clean up the files they read, and then that first error is thrown.
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let error = null;
+    const worker = async () => {
+        while (!error && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (err) {
+                if (!error) error = err;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    if (error) throw error;
+    return results;
+}
+
+// Network drops (no response), 5xx and rate limiting are worth retrying; 4xx are not
+function isTransientError(err) {
+    if (!err.response) return !!err.code || err.message === 'socket hang up';
+    return err.response.status >= 500 || err.response.status === 429;
+}
+
+// Registries report upload progress as an inclusive "0-<last byte>" Range header.
+// distribution answers "0-0" for an empty session, so treat that as nothing received.
+function parseRangeEnd(range) {
+    const match = range && range.match(/^(?:bytes=)?0-(\d+)$/);
+    if (!match || match[1] === '0') return 0;
+    return parseInt(match[1], 10) + 1;
+}
+
+const MEDIA_TYPE_DOCKER_MANIFEST = 'application/vnd.docker.distribution.manifest.v2+json';
+const MEDIA_TYPE_DOCKER_MANIFEST_LIST = 'application/vnd.docker.distribution.manifest.list.v2+json';
+const MEDIA_TYPE_DOCKER_CONFIG = 'application/vnd.docker.container.image.v1+json';
+const MEDIA_TYPE_DOCKER_LAYER_GZIP = 'application/vnd.docker.image.rootfs.diff.tar.gzip';
+const MEDIA_TYPE_OCI_MANIFEST = 'application/vnd.oci.image.manifest.v1+json';
+const MEDIA_TYPE_OCI_INDEX = 'application/vnd.oci.image.index.v1+json';
+
+// Every manifest flavour we push, so GETs by tag return what was stored instead of a conversion
+const MANIFEST_ACCEPT = [
+    MEDIA_TYPE_DOCKER_MANIFEST,
+    MEDIA_TYPE_DOCKER_MANIFEST_LIST,
+    MEDIA_TYPE_OCI_MANIFEST,
+    MEDIA_TYPE_OCI_INDEX
+].join(', ');
+
+function isIndexMediaType(mediaType) {
+    return mediaType === MEDIA_TYPE_OCI_INDEX || mediaType === MEDIA_TYPE_DOCKER_MANIFEST_LIST;
+}
+
+function manifestDigest(data) {
+    return `sha256:${crypto.createHash('sha256').update(data).digest('hex')}`;
+}
+
+// Platform descriptor as used in manifest lists, taken from an image config
+function platformOf(config) {
+    const platform = { architecture: config.architecture || 'amd64', os: config.os || 'linux' };
+    if (config.variant) platform.variant = config.variant;
+    if (config['os.version']) platform['os.version'] = config['os.version'];
+    return platform;
+}
+
+function platformString(platform) {
+    return [platform.os, platform.architecture, platform.variant].filter(Boolean).join('/');
+}
+
+// Tag part of an image reference ("harbor/sth/sth-api:v2.0.5" -> "v2.0.5").
+// OCI ref.name annotations may hold a bare tag, which is returned as is.
+function tagOf(ref) {
+    const name = ref.split('@')[0];
+    if (!name) return null;
+    const slash = name.lastIndexOf('/');
+    const colon = name.lastIndexOf(':');
+    if (colon > slash) return name.substring(colon + 1);
+    return slash === -1 ? name : null;
+}
+
+// Blobs in an OCI layout live at blobs/<algorithm>/<hex>
+function ociBlobPath(layoutDir, digest) {
+    const [algorithm, hex] = digest.split(':');
+    return path.join(layoutDir, 'blobs', algorithm, hex);
+}
+
+// Stream through SHA256 so multi-GB layers never sit fully in memory
+function hashStream(stream) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        stream
+            .on('data', (chunk) => {
+                hash.update(chunk);
+                size += chunk.length;
+            })
+            .on('error', reject)
+            .on('end', () => resolve({ digest: `sha256:${hash.digest('hex')}`, size }));
+    });
+}
+
+function hashFile(filePath) {
+    return hashStream(fs.createReadStream(filePath));
+}
+
+// Pass-through that feeds everything it sees into a hash and byte counter
+function hashTap() {
+    const tap = new Transform({
+        transform(chunk, encoding, callback) {
+            tap.hash.update(chunk);
+            tap.size += chunk.length;
+            callback(null, chunk);
+        }
+    });
+    tap.hash = crypto.createHash('sha256');
+    tap.size = 0;
+    tap.result = () => ({ digest: `sha256:${tap.hash.digest('hex')}`, size: tap.size });
+    return tap;
+}
+
+// Gzip files start with 1f 8b; `docker save` layer.tar files are plain tar
+async function isGzipFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+        return bytesRead === 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Returns the blob to push for a layer plus its diff_id (digest of the uncompressed tar).
+// Uncompressed layers are gzipped into destPath in a single streaming pass. zlib output is
+// deterministic, so the compressed digest is stable across runs and resumed uploads still match.
+async function prepareLayer(layerPath, destPath) {
+    if (await isGzipFile(layerPath)) {
+        const { digest, size } = await hashFile(layerPath);
+        const { digest: diffId } = await hashStream(fs.createReadStream(layerPath).pipe(zlib.createGunzip()));
+        return { path: layerPath, digest, size, diffId, mediaType: MEDIA_TYPE_DOCKER_LAYER_GZIP, compressed: false };
+    }
+
+    const rawTap = hashTap();
+    const gzipTap = hashTap();
+    await pipeline(fs.createReadStream(layerPath), rawTap, zlib.createGzip(), gzipTap, fs.createWriteStream(destPath));
+
+    const { digest, size } = gzipTap.result();
+    return { path: destPath, digest, size, diffId: rawTap.result().digest, mediaType: MEDIA_TYPE_DOCKER_LAYER_GZIP, compressed: true };
+}
 
 class RegistryClient {
-    constructor(logger = console.log) {
+    constructor(logger = console.log, options = {}) {
         this.log = logger;
-        this.token = null;
+        this.auth = null;
         this.registryUrl = '';
+        // Scheme for hosts given without one, and the agent carrying CA bundle / mTLS / insecure settings
+        this.scheme = options.scheme || 'https';
+        this.httpsAgent = options.httpsAgent;
+        this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : DEFAULT_RETRY_DELAY;
+        // Other repositories on the same registry whose blobs can be mounted instead of uploaded
+        this.mountFrom = options.mountFrom || [];
+        this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+        // Receives { totalBytes, sentBytes, layers: [{ key, digest, size, sent, state }] }
+        this.onProgress = options.onProgress || null;
+        this.progress = new Map();
+        this.lastProgressAt = 0;
+        this.sessions = UploadSessionStore.forFile(
+            options.sessionFile || path.join(os.tmpdir(), 'sth-deploy-upload-sessions.json')
+        );
     }
 
-    async login(username, password, registryUrl) {
-        // Default to HTTP as per user request to avoid HTTPS/443
-        this.registryUrl = registryUrl.startsWith('http') ? registryUrl : `http://${registryUrl}`;
-        // Basic auth for now, can extend to proper Bearer token flow if needed
-        // Many registries support Basic auth on the API directly or checking /v2/
-        if (username && password) {
-            this.authHeader = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
-        } else {
-            this.authHeader = null;
+    // Run fn, retrying transient failures with exponential backoff.
+    // onRetry lets callers re-sync state (e.g. the upload offset) before the next attempt.
+    async withRetry(label, fn, onRetry = null) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (err) {
+                if (attempt > this.maxRetries || !isTransientError(err)) throw err;
+                const delay = this.retryDelay * 2 ** (attempt - 1);
+                this.log(`${label} failed (${err.message}), retrying in ${(delay / 1000).toFixed(1)}s [${attempt}/${this.maxRetries}]...`);
+                await sleep(delay);
+                if (onRetry) {
+                    try {
+                        await onRetry(err);
+                    } catch (syncErr) {
+                        // A still-flaky connection counts against the same budget
+                        if (!isTransientError(syncErr)) throw syncErr;
+                    }
+                }
+            }
         }
+    }
+
+    // Record per-blob progress and notify the listener. Byte updates are throttled;
+    // state changes (checking, uploading, mounted...) are always sent.
+    setProgress(key, update) {
+        const entry = this.progress.get(key) || { key, digest: null, size: 0, sent: 0, state: 'pending' };
+        const stateChanged = update.state && update.state !== entry.state;
+        Object.assign(entry, update);
+        this.progress.set(key, entry);
+
+        if (!this.onProgress) return;
+        const now = Date.now();
+        if (!stateChanged && now - this.lastProgressAt < PROGRESS_INTERVAL) return;
+        this.lastProgressAt = now;
+
+        const layers = [...this.progress.values()].map(l => ({ ...l }));
+        // Blobs the registry already had are not part of the transfer
+        const transferred = layers.filter(l => l.state !== 'exists' && l.state !== 'mounted');
+        this.onProgress({
+            totalBytes: transferred.reduce((sum, l) => sum + l.size, 0),
+            sentBytes: transferred.reduce((sum, l) => sum + l.sent, 0),
+            layers
+        });
+    }
+
+    // Count bytes as they leave the file so progress moves within a chunk
+    trackStream(key, start, stream) {
+        let sent = start;
+        return stream.on('data', (chunk) => {
+            sent += chunk.length;
+            this.setProgress(key, { sent });
+        });
+    }
 
+    async login(username, password, registryUrl) {
+        // HTTPS unless the registry is configured (or allowlisted as insecure) for plain HTTP
+        this.registryUrl = registryUrl.startsWith('http') ? registryUrl : `${this.scheme}://${registryUrl}`;
+        // Basic credentials stay with the auth layer for the whole session; Bearer tokens
+        // are fetched per scope from them whenever the registry challenges us.
+        this.auth = new RegistryAuth(username, password, this.log, this.httpsAgent);
+
+        // Fail here, before any layer work, if the registry does not accept us.
+        // request() follows a Bearer challenge on /v2/, which validates the credentials
+        // against the token service the same way `docker login` does.
         try {
             await this.request('GET', '/v2/');
             this.log('Registry login successful (checked /v2/)');
         } catch (err) {
-            // Some registries might return 401 even with credentials if they strictly require Bearer
-            // We'll handle Bearer challenges in request() if we want to be robust, 
-            // but for now let's assume Basic works or we just proceed.
+            if (err.response && err.response.status === 401) {
+                throw new Error(`Registry authentication failed for ${this.registryUrl}: ${username ? 'credentials rejected' : 'credentials required'}`);
+            }
+            if (err.message.startsWith('Registry authentication failed')) {
+                throw new Error(`${err.message} (${this.registryUrl})`);
+            }
             this.log(`Registry login check warning: ${err.message}`);
         }
     }
 
     async request(method, endpoint, data = null, headers = {}, responseType = 'json') {
-        const url = `${this.registryUrl}${endpoint}`;
+        // Upload sessions hand back absolute Location URLs, everything else is relative to the registry
+        const url = endpoint.startsWith('http') ? endpoint : `${this.registryUrl}${endpoint}`;
+        // Streams can only be consumed once, so callers pass a factory when the body may need resending
+        const body = () => (typeof data === 'function' ? data() : data);
+        const scopes = RegistryAuth.scopesFor(method, url);
         const config = {
             method,
             url,
             headers: { ...headers },
-            data, // Fix: Pass data payload to axios!
+            data: body(), // Fix: Pass data payload to axios!
             responseType,
+            httpsAgent: this.httpsAgent,
             maxContentLength: Infinity,
             maxBodyLength: Infinity
         };
 
-        if (this.authHeader) {
-            config.headers['Authorization'] = this.authHeader;
+        const authorization = this.auth ? await this.auth.authorize(scopes) : null;
+        if (authorization) {
+            config.headers['Authorization'] = authorization;
         }
 
         try {
             return await axios(config);
         } catch (err) {
-            // Simple Bearer token handling if 401 and Www-Authenticate is present
-            if (err.response && err.response.status === 401 && err.response.headers['www-authenticate']) {
-                const authChallenge = err.response.headers['www-authenticate'];
-                // Parse "Bearer realm="...",service="...",scope="..."
-                if (authChallenge.toLowerCase().startsWith('bearer')) {
-                    this.log('Attempting Bearer token retrieval...');
-                    const realmMatch = authChallenge.match(/realm="([^"]+)"/);
-                    const serviceMatch = authChallenge.match(/service="([^"]+)"/);
-                    const scopeMatch = authChallenge.match(/scope="([^"]+)"/);
-
-                    if (realmMatch) {
-                        const realm = realmMatch[1];
-                        const service = serviceMatch ? serviceMatch[1] : '';
-                        const scope = scopeMatch ? scopeMatch[1] : '';
-
-                        let tokenUrl = `${realm}?service=${service}&scope=${scope}`;
-
-                        // Get token using existing credentials (often Basic)
-                        const tokenConfig = { headers: {} };
-                        if (this.authHeader) tokenConfig.headers['Authorization'] = this.authHeader;
-
-                        const tokenResp = await axios.get(tokenUrl, tokenConfig);
-                        if (tokenResp.data && tokenResp.data.token) {
-                            this.token = tokenResp.data.token;
-                            this.authHeader = `Bearer ${this.token}`; // Update global auth header
-                            config.headers['Authorization'] = this.authHeader;
-                            return await axios(config); // Retry original request
+            // A 401 with a Bearer challenge means we need a (fresh) token for these scopes
+            const challenge = err.response && err.response.status === 401 && err.response.headers['www-authenticate'];
+            if (!challenge || !this.auth || !await this.auth.handleChallenge(challenge, scopes)) {
+                throw err;
+            }
+
+            if (config.data && typeof config.data.destroy === 'function') config.data.destroy();
+            config.headers['Authorization'] = await this.auth.authorize(scopes);
+            config.data = body();
+            return await axios(config); // Retry original request
+        }
+    }
+
+    // Location headers may be absolute or relative to the registry root
+    resolveLocation(location) {
+        if (location.startsWith('http')) return location;
+        return `${this.registryUrl}${location.startsWith('/') ? '' : '/'}${location}`;
+    }
+
+    // Ask the registry how much of an upload session it has received.
+    // Returns null when the session is gone (expired or already committed).
+    async getUploadStatus(uploadUrl) {
+        try {
+            const resp = await this.request('GET', uploadUrl);
+            return {
+                uploadUrl: resp.headers['location'] ? this.resolveLocation(resp.headers['location']) : uploadUrl,
+                offset: parseRangeEnd(resp.headers['range'])
+            };
+        } catch (err) {
+            if (err.response && err.response.status === 404) return null;
+            throw err;
+        }
+    }
+
+    // Chunked upload: POST opens a session, each chunk is PATCHed with Content-Range,
+    // and a final empty PUT with ?digest= commits the blob.
+    // The session URL and offset are persisted after every chunk so an interrupted
+    // upload (dropped VPN, app restart) picks up where the registry left off.
+    async uploadBlob(repository, filePath, digest, size, progressKey = digest) {
+        const short = digest.substring(0, 12);
+        const sessionKey = UploadSessionStore.key(this.registryUrl, repository, digest);
+
+        let uploadUrl = null;
+        let offset = 0;
+
+        const saved = await this.sessions.get(sessionKey);
+        if (saved) {
+            const status = await this.withRetry(`Upload status ${short}`, () => this.getUploadStatus(saved.uploadUrl));
+            if (status) {
+                ({ uploadUrl, offset } = status);
+                this.log(`Resuming upload of ${short} at ${(offset / 1024 / 1024).toFixed(2)} MB`);
+                this.setProgress(progressKey, { sent: offset });
+            } else {
+                this.log(`Previous upload session for ${short} expired, starting over.`);
+                await this.sessions.delete(sessionKey);
+            }
+        }
+
+        if (!uploadUrl) {
+            const initResp = await this.withRetry(`Upload init ${short}`, () =>
+                this.request('POST', `/v2/${repository}/blobs/uploads/`)
+            );
+            uploadUrl = this.resolveLocation(initResp.headers['location']);
+            offset = 0;
+            await this.sessions.set(sessionKey, { uploadUrl, offset });
+        }
+
+        // After a failed chunk, ask the registry what it actually kept before resending
+        const resync = async () => {
+            const status = await this.getUploadStatus(uploadUrl);
+            if (!status) throw new Error(`Upload session for ${short} was lost on the registry`);
+            ({ uploadUrl, offset } = status);
+            this.setProgress(progressKey, { sent: offset });
+        };
+
+        while (offset < size) {
+            await this.withRetry(`Chunk upload ${short}`, async () => {
+                const start = offset;
+                const end = Math.min(start + this.chunkSize, size) - 1;
+                try {
+                    const patchResp = await this.request(
+                        'PATCH',
+                        uploadUrl,
+                        () => this.trackStream(progressKey, start, fs.createReadStream(filePath, { start, end })),
+                        {
+                            'Content-Type': 'application/octet-stream',
+                            'Content-Length': end - start + 1,
+                            'Content-Range': `${start}-${end}`
                         }
+                    );
+                    // The registry may move the session with every chunk
+                    if (patchResp.headers['location']) {
+                        uploadUrl = this.resolveLocation(patchResp.headers['location']);
+                    }
+                    // Trust the registry's Range, unless it is the ambiguous "0-0" for a tiny first chunk
+                    const reported = parseRangeEnd(patchResp.headers['range']);
+                    offset = reported > start ? reported : end + 1;
+                } catch (err) {
+                    // 416 means our offset disagrees with the registry; re-sync and carry on
+                    if (err.response && err.response.status === 416) {
+                        await resync();
+                        return;
                     }
+                    throw err;
                 }
-            }
-            throw err;
+            }, resync);
+
+            await this.sessions.set(sessionKey, { uploadUrl, offset });
+            this.setProgress(progressKey, { sent: offset });
         }
+
+        const separator = uploadUrl.includes('?') ? '&' : '?';
+        await this.withRetry(`Upload commit ${short}`, () =>
+            this.request('PUT', `${uploadUrl}${separator}digest=${encodeURIComponent(digest)}`, null, {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': 0
+            })
+        );
+        await this.sessions.delete(sessionKey);
     }
 
-    async pushTarball(tarPath, repository, tag) {
+    // Unpack the archive to a temp directory so layers can be hashed and streamed from disk
+    async extractArchive(tarPath) {
         this.log(`Reading tarball from ${tarPath}...`);
 
-        // 1. Analyze Tarball
-        const layersToPush = []; // { digest, stream || buffer, size }
-        let configBlob = null;
-        let manifest = null;
-        let repoTags = null; // Sometimes 'repositories' file exists
-
         const extract = tar.extract();
-        const fileProcessPromises = [];
 
-        // We need to read the tar entirely to find manifest.json and layers
-        // Since we might need to stream layers, we can't just pass the entry stream directly if we need to calculate hash first.
-        // For CLI 'docker save', layers are usually files like 'layer.tar'.
-
-        // Strategy: 
-        // 1. Read tarball to temp dir or memory? Memory might be too big. 
-        //    Let's extract relevant files to a temp directory is safer.
-        const tempDir = path.join(require('os').tmpdir(), `sth-deploy-${Date.now()}`);
-        await fs.ensureDir(tempDir);
+        // We need to read the tar entirely to find manifest.json / index.json and layers.
+        // Memory might be too big for multi-GB images, so extract to a temporary directory.
+        // mkdtemp gives every extraction its own directory, even for images pushed in parallel
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sth-deploy-'));
 
         this.log(`Extracting to temporary directory: ${tempDir}`);
 
@@ -117,7 +438,6 @@ class RegistryClient {
 
             extract.on('entry', (header, stream, next) => {
                 const outPath = path.join(tempDir, header.name);
-                // Ensure parent dir
                 // header.name might be 'subdir/file'
                 if (header.type === 'directory') {
                     fs.ensureDirSync(outPath);
@@ -138,192 +458,223 @@ class RegistryClient {
             extract.on('error', reject);
         });
 
-        // 2. Parse manifest.json
-        const manifestPath = path.join(tempDir, 'manifest.json');
-        if (!await fs.pathExists(manifestPath)) {
-            throw new Error('manifest.json not found in tarball. Is this a valid docker save archive?');
-        }
-
-        const manifestJson = await fs.readJson(manifestPath);
-        // manifest.json is an array, usually one entry if one image saved.
-        const imageMeta = manifestJson[0];
+        return tempDir;
+    }
 
-        if (!imageMeta) {
-            throw new Error('Empty manifest.json');
+    // Ask the registry to link an existing blob from another repository instead of
+    // uploading it. 201 means mounted; 202 means the registry opened a normal upload
+    // session instead, which we cancel since uploadBlob manages its own sessions.
+    async mountBlob(repository, digest, fromRepository) {
+        const query = `mount=${encodeURIComponent(digest)}&from=${encodeURIComponent(fromRepository)}`;
+        try {
+            const resp = await this.request('POST', `/v2/${repository}/blobs/uploads/?${query}`);
+            if (resp.status === 201) return true;
+            if (resp.headers['location']) {
+                await this.request('DELETE', this.resolveLocation(resp.headers['location'])).catch(() => { });
+            }
+        } catch (err) {
+            this.log(`Mount of ${digest.substring(0, 12)} from ${fromRepository} failed: ${err.message}`);
         }
+        return false;
+    }
 
-        const configFilename = imageMeta.Config;
-        const layerFilenames = imageMeta.Layers;
-
-        this.log(`Found image config: ${configFilename}`);
-        this.log(`Found ${layerFilenames.length} layers.`);
-
-        // 3. Prepare Push
-        // We need to push:
-        // a) Each layer blob
-        // b) Config blob
-        // c) The Manifest
+    // Push one blob that has already been hashed, skipping it if the registry has it.
+    // Resolves with how it got there: 'exists', 'mounted' or 'uploaded'.
+    async pushBlob(repository, blob) {
+        const progressKey = blob.key || blob.digest;
+        try {
+            return await this.transferBlob(repository, blob, progressKey);
+        } catch (err) {
+            this.setProgress(progressKey, { state: 'failed' });
+            throw err;
+        }
+    }
 
-        // Helper to push a blob
-        const pushBlob = async (filePath) => {
-            // Calculate SHA256
-            const fileBuffer = await fs.readFile(filePath);
-            const hash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-            const digest = `sha256:${hash}`;
-            const size = fileBuffer.length;
+    // `source` ({ client, repository }) marks a blob copied from another registry or repository
+    // instead of read from disk: it is mounted when both live on the same registry, else streamed.
+    async transferBlob(repository, { path: filePath, digest, size, source }, progressKey) {
+        const short = digest.substring(0, 12);
+        this.log(`Checking blob ${short}...`);
+        this.setProgress(progressKey, { digest, size, state: 'checking' });
 
-            this.log(`Checking blob ${digest.substring(0, 12)}...`);
+        // Check if exists
+        try {
+            await this.withRetry(`Blob check ${short}`, () =>
+                this.request('HEAD', `/v2/${repository}/blobs/${digest}`)
+            );
+            this.log(`Blob ${short} already exists.`);
+            this.setProgress(progressKey, { sent: size, state: 'exists' });
+            return this.recordBlob({ digest, size, action: 'exists' });
+        } catch (err) {
+            if (err.response && err.response.status !== 404) {
+                this.log(`Warning checking blob: ${err.message}`);
+            }
+        }
 
-            // Check if exists
-            try {
-                await this.request('HEAD', `/v2/${repository}/blobs/${digest}`);
-                this.log(`Blob ${digest.substring(0, 12)} already exists.`);
-                return { digest, size };
-            } catch (err) {
-                if (err.response && err.response.status !== 404) {
-                    this.log(`Warning checking blob: ${err.message}`);
-                }
+        // Shared base layers usually already live in a sibling service repository
+        const sameRegistry = source && source.client.registryUrl === this.registryUrl;
+        const mountSources = sameRegistry ? [source.repository, ...this.mountFrom] : this.mountFrom;
+        for (const fromRepository of new Set(mountSources)) {
+            if (fromRepository === repository) continue;
+            if (await this.mountBlob(repository, digest, fromRepository)) {
+                this.log(`Mounted blob ${short} from ${fromRepository}.`);
+                // Any half-finished upload of this blob is no longer needed
+                await this.sessions.delete(UploadSessionStore.key(this.registryUrl, repository, digest));
+                this.setProgress(progressKey, { sent: size, state: 'mounted' });
+                return this.recordBlob({ digest, size, action: 'mounted', from: fromRepository });
             }
+        }
+
+        this.log(`Uploading blob ${short} (${(size / 1024 / 1024).toFixed(2)} MB)...`);
+        this.setProgress(progressKey, { state: 'uploading' });
+        if (source) {
+            await this.streamBlob(source, repository, digest, size, progressKey);
+        } else {
+            await this.uploadBlob(repository, filePath, digest, size, progressKey);
+        }
+        this.log(`Upload complete: ${short}`);
+        this.setProgress(progressKey, { sent: size, state: 'uploaded' });
 
-            this.log(`Uploading blob ${digest.substring(0, 12)} (${(size / 1024 / 1024).toFixed(2)} MB)...`);
+        return this.recordBlob({ digest, size, action: 'uploaded' });
+    }
 
-            // Initiate Upload
+    // Pipe a blob straight from the source registry into a monolithic upload here, so a
+    // cross-registry copy never touches the disk. Each attempt restarts from the first byte:
+    // a source response cannot be resumed at an offset the way a file can.
+    async streamBlob(source, repository, digest, size, progressKey) {
+        const short = digest.substring(0, 12);
+        await this.withRetry(`Blob copy ${short}`, async () => {
+            // Opening the session first also fetches the push token the PUT below reuses
             const initResp = await this.request('POST', `/v2/${repository}/blobs/uploads/`);
-            const uploadLocation = initResp.headers['location']; // relative or absolute?
-            // Often it's absolute, or relative to registry root.
-
-            // If relative, prepend registryUrl (careful with /v2/ duplication if needed)
-            let uploadUrl = uploadLocation;
-            if (!uploadUrl.startsWith('http')) {
-                // Logic to fix relative path if needed, usually Location is absolute in standard compliant registries
-                // If it's just path:
-                uploadUrl = `${this.registryUrl}${uploadLocation.startsWith('/') ? '' : '/'}${uploadLocation}`;
+            const uploadUrl = this.resolveLocation(initResp.headers['location']);
+            const blobResp = await source.client.request('GET', `/v2/${source.repository}/blobs/${digest}`, null, {}, 'stream');
+
+            this.setProgress(progressKey, { sent: 0 });
+            const separator = uploadUrl.includes('?') ? '&' : '?';
+            try {
+                await this.request('PUT', `${uploadUrl}${separator}digest=${encodeURIComponent(digest)}`,
+                    this.trackStream(progressKey, 0, blobResp.data), {
+                        'Content-Type': 'application/octet-stream',
+                        'Content-Length': size
+                    });
+            } finally {
+                blobResp.data.destroy();
             }
+        });
+    }
 
-            // Monolithic upload (PUT to the location with digest)
-            // But usually we PUT to the uploadLocation with query param digest=<digest>
-            // Actually, for monolithic upload: POST creates session, then PUT with &digest=... sends data.
+    recordBlob(result) {
+        if (this.pushReport) this.pushReport.push(result);
+        return result;
+    }
 
-            // Correct flow for Monolithic Put:
-            // PUT <Location>?digest=<digest>
-            // Body: <Data>
+    logPushReport() {
+        const byAction = (action) => this.pushReport.filter(b => b.action === action);
+        const mounted = byAction('mounted');
+        const uploaded = byAction('uploaded');
+        const existing = byAction('exists');
 
-            const separator = uploadUrl.includes('?') ? '&' : '?';
-            const finalUploadUrl = `${uploadUrl}${separator}digest=${digest}`;
-
-            // Adjust base URL for axios if we are passing full URL in config
-            // We can't use this.request easily because url is different structure possibly.
-            // Using raw axios with auth
-            const uploadConfig = {
-                headers: {
-                    'Content-Type': 'application/octet-stream',
-                    'Content-Length': size
-                },
-                maxContentLength: Infinity,
-                maxBodyLength: Infinity
-            };
-            if (this.authHeader) uploadConfig.headers['Authorization'] = this.authHeader;
+        this.log(`Blobs: ${uploaded.length} uploaded, ${mounted.length} mounted, ${existing.length} already present.`);
+        mounted.forEach(b => this.log(`  mounted  ${b.digest.substring(0, 19)} from ${b.from}`));
+        uploaded.forEach(b => this.log(`  uploaded ${b.digest.substring(0, 19)} (${(b.size / 1024 / 1024).toFixed(2)} MB)`));
+    }
 
-            await axios.put(finalUploadUrl, fileBuffer, uploadConfig);
-            this.log(`Upload complete: ${digest.substring(0, 12)}`);
+    // Legacy `docker save` layout: manifest.json lists Config and Layers by file name.
+    // Layers are hashed (and gzipped if needed) here and a Docker V2 Schema 2 manifest is built.
+    async pushDockerImage(tempDir, imageMeta, repository) {
+        const configFilename = imageMeta.Config;
+        const layerFilenames = imageMeta.Layers;
 
-            return { digest, size };
-        };
+        this.log(`Found image config: ${configFilename}`);
+        this.log(`Found ${layerFilenames.length} layers.`);
 
         // Push Config Blob
         const configPath = path.join(tempDir, configFilename);
-        const configResult = await pushBlob(configPath);
+        const configResult = await this.pushBlob(repository, { path: configPath, ...await hashFile(configPath) });
+        const imageConfig = await fs.readJson(configPath);
+        const diffIds = (imageConfig.rootfs && imageConfig.rootfs.diff_ids) || [];
 
         // Push Layers
-        const layerResults = [];
-        for (const layerFile of layerFilenames) {
+        // Registries and pull clients expect gzip layers, so compress plain tars on the way.
+        // The config is pushed untouched: its rootfs.diff_ids already describe the
+        // uncompressed tars, which is exactly what diff_ids must be.
+        layerFilenames.forEach(layerFile => this.setProgress(layerFile, { state: 'preparing' }));
+        const layerResults = await mapLimit(layerFilenames, this.concurrency, async (layerFile, index) => {
             const layerPath = path.join(tempDir, layerFile);
-            const res = await pushBlob(layerPath);
-            layerResults.push(res);
-        }
+            const layer = await prepareLayer(layerPath, `${layerPath}.gz`);
+
+            if (diffIds[index] && diffIds[index] !== layer.diffId) {
+                throw new Error(`Layer ${layerFile} does not match rootfs.diff_ids[${index}] in the image config (${layer.diffId} != ${diffIds[index]})`);
+            }
+            if (layer.compressed) {
+                this.log(`Compressed ${layerFile}: ${(layer.size / 1024 / 1024).toFixed(2)} MB gzip`);
+            }
+
+            const res = await this.pushBlob(repository, { ...layer, key: layerFile });
+            return { ...res, mediaType: layer.mediaType };
+        });
 
-        // 4. Create and Push Manifest
-        // OCI/Docker V2 Schema 2
         this.log('Constructing manifest...');
 
         const manifestPayload = {
             schemaVersion: 2,
-            mediaType: 'application/vnd.docker.distribution.manifest.v2+json',
+            mediaType: MEDIA_TYPE_DOCKER_MANIFEST,
             config: {
-                mediaType: 'application/vnd.docker.container.image.v1+json',
+                mediaType: MEDIA_TYPE_DOCKER_CONFIG,
                 size: configResult.size,
                 digest: configResult.digest
             },
             layers: layerResults.map(l => ({
-                mediaType: 'application/vnd.docker.image.rootfs.diff.tar.gzip', // Standard for docker save
-                // NOTE: docker save layers are often NOT gzipped (just .tar), but registry expects compressed?
-                // Actually docker save layers are usually .tar. 
-                // If they are not gzipped, mediaType should be 'application/vnd.docker.image.rootfs.diff.tar' ?
-                // But V2 schema 2 specs usually imply gzip.
-                // Let's check the filename extension.
-                // However, Docker usually pushes compressed layers.
-                // If the tarball contains uncompressed tars, we might strictly need to compress them or use the correct media type.
-                // For safety, let's assume they are compatible with what came out of Docker.
-                // If `layerFile` ends in .gz, it's gzip. If just .tar, it's uncompressed.
-                // If we push uncompressed data as gzip media type, authentication/digest might mismatch or client fails pull.
-
-                // Correction: `docker save` usually exports uncompressed tar layers.
-                // But registries often expect compressed layers for size.
-                // Use 'application/vnd.docker.image.rootfs.diff.tar.gzip' implies it IS gzipped.
-                // If we send uncompressed tar, we should use 'application/vnd.docker.image.rootfs.diff.tar' ??
-                // Actually, standard V2 Schema 2 mandates gzip layers usually.
-                // Let's check if we need to gzip them?
-                // For simplicity, let's try pushing as is, but if we need to gzip, we can use zlib.
-                // Update: If we use the exact bytes from `docker save`, we must match the digest.
-                // If we compress it, digest changes.
-                // Docker Hub supports non-distributable artifacts etc, but typically expects gzip.
-
-                // Let's assume for now we use the media type matching the layer format.
-                // If `file` command shows gzip, usage gzip.
-                // Defaulting to tar.gzip is risky if it's not.
-
-                // Important: If we don't compress, we should probably set mediaType to
-                // 'application/vnd.docker.image.rootfs.diff.tar' (if supported by registry)
-                // BUT, standard docker client always pushes compressed.
-                // We might need to compress the layer before calculating digest and pushing if we want to be standard compliant.
-
-                // FOR THIS IMPLEMENTATION:
-                // We will rely on what 'docker save' gave us.
-                // If the user's tarball has 'layer.tar', it is likely uncompressed.
-                // We will try mediaType 'application/vnd.docker.image.rootfs.diff.tar.gzip' first.
-                // If registry checks magic bytes it might complain.
-
+                mediaType: l.mediaType,
                 size: l.size,
                 digest: l.digest
             }))
         };
 
-        // Fix medialTypes if they are plain tars
-        // We can inspect the first few bytes of a layer to see if it's GZIP (1f 8b)
-        // If not, we might be pushing uncompressed data.
-        // Some registries accept it.
-
-        // Pushing Manifest
-        this.log(`Pushing manifest to ${repository}:${tag}...`);
-
         // Stringify manually to ensure we control the bytes and can calculate exact length/digest
-        const finalManifestData = JSON.stringify(manifestPayload, null, 2);
+        return { mediaType: MEDIA_TYPE_DOCKER_MANIFEST, data: JSON.stringify(manifestPayload, null, 2) };
+    }
 
-        const manifestUrl = `/v2/${repository}/manifests/${tag}`;
-        const manifestConfig = {
-            headers: {
-                'Content-Type': 'application/vnd.docker.distribution.manifest.v2+json',
-                'Content-Length': Buffer.byteLength(finalManifestData)
+    // OCI image layout (buildah/podman, `docker save` v25+): blobs are already content-addressed
+    // under blobs/<alg>/<hex>, so they are pushed by their recorded digest without rehashing
+    // and the original manifest bytes are reused to keep the image digest unchanged.
+    async pushOciImage(tempDir, descriptor, repository) {
+        const manifestData = await fs.readFile(ociBlobPath(tempDir, descriptor.digest));
+        const manifest = JSON.parse(manifestData.toString('utf8'));
+        const blobs = [manifest.config, ...manifest.layers];
+
+        this.log(`Found OCI image manifest ${descriptor.digest.substring(0, 19)} with ${manifest.layers.length} layers.`);
+
+        blobs.forEach(blob => this.setProgress(blob.digest, { digest: blob.digest, size: blob.size }));
+        await mapLimit(blobs, this.concurrency, async (blob) => {
+            const blobPath = ociBlobPath(tempDir, blob.digest);
+            const { size } = await fs.stat(blobPath);
+            if (size !== blob.size) {
+                throw new Error(`Blob ${blob.digest} is ${size} bytes on disk but the manifest says ${blob.size}`);
             }
+            await this.pushBlob(repository, { path: blobPath, digest: blob.digest, size });
+        });
+
+        return { mediaType: manifest.mediaType || descriptor.mediaType || MEDIA_TYPE_OCI_MANIFEST, data: manifestData };
+    }
+
+    // PUT a manifest under a tag (or its own digest) and return its digest
+    async putManifest(repository, reference, { mediaType, data }) {
+        this.log(`Pushing manifest to ${repository}${reference.startsWith('sha256:') ? '@' : ':'}${reference}...`);
+
+        const manifestUrl = `/v2/${repository}/manifests/${reference}`;
+        const headers = {
+            'Content-Type': mediaType,
+            'Content-Length': Buffer.byteLength(data)
         };
-        if (this.authHeader) manifestConfig.headers['Authorization'] = this.authHeader;
 
-        this.log(`Manifest payload: ${finalManifestData}`);
+        this.log(`Manifest payload: ${data.toString()}`);
 
+        let resp;
         try {
-            await this.request('PUT', manifestUrl, finalManifestData, manifestConfig.headers);
-            const digest = crypto.createHash('sha256').update(finalManifestData).digest('hex');
-            this.log(`Successfully pushed manifest. Digest: sha256:${digest}`);
+            resp = await this.withRetry('Manifest push', () =>
+                this.request('PUT', manifestUrl, data, headers)
+            );
         } catch (err) {
             this.log(`Error pushing manifest: ${err.message}`);
             if (err.response) {
@@ -332,8 +683,326 @@ class RegistryClient {
             throw err;
         }
 
-        // Cleanup
-        await fs.remove(tempDir);
+        // The registry must have stored exactly the bytes we hashed
+        const digest = manifestDigest(data);
+        const registryDigest = resp.headers['docker-content-digest'];
+        if (registryDigest && registryDigest !== digest) {
+            throw new Error(`Registry reports manifest digest ${registryDigest} for ${repository}:${reference}, expected ${digest}`);
+        }
+        this.log(`Successfully pushed manifest. Digest: ${digest}`);
+        return digest;
+    }
+
+    // Digest a tag currently points at, or null if the repository has no such tag
+    async getTagDigest(repository, tag) {
+        try {
+            const resp = await this.withRetry(`Manifest check ${tag}`, () =>
+                this.request('HEAD', `/v2/${repository}/manifests/${tag}`, null, { Accept: MANIFEST_ACCEPT })
+            );
+            return resp.headers['docker-content-digest'] || (await this.getManifest(repository, tag)).digest;
+        } catch (err) {
+            if (err.response && err.response.status === 404) return null;
+            throw err;
+        }
+    }
+
+    // Fetch a manifest as raw bytes so its digest can be recomputed exactly
+    async getManifest(repository, reference) {
+        const resp = await this.withRetry(`Manifest fetch ${reference}`, () =>
+            this.request('GET', `/v2/${repository}/manifests/${reference}`, null, { Accept: MANIFEST_ACCEPT }, 'arraybuffer')
+        );
+        const data = Buffer.from(resp.data);
+        const manifest = JSON.parse(data.toString('utf8'));
+        return {
+            data,
+            mediaType: manifest.mediaType || (resp.headers['content-type'] || '').split(';')[0] || MEDIA_TYPE_DOCKER_MANIFEST,
+            digest: manifestDigest(data),
+            registryDigest: resp.headers['docker-content-digest'],
+            manifest
+        };
+    }
+
+    // Copy an image from another registry (or another repository on this one) and point every
+    // tag at it. `source` is a logged-in client for the source registry. The manifest bytes are
+    // re-published unchanged, so the image keeps its digest; for a list/index every platform
+    // manifest is copied first. Returns the digest.
+    async copyImage(source, sourceRepository, reference, repository, tags) {
+        tags = [...new Set([].concat(tags).filter(Boolean))];
+        if (tags.length === 0) {
+            throw new Error('At least one tag is required');
+        }
+
+        const top = await source.getManifest(sourceRepository, reference);
+        if (top.registryDigest && top.registryDigest !== top.digest) {
+            throw new Error(`${sourceRepository}:${reference} is served as ${top.registryDigest} but its bytes hash to ${top.digest}`);
+        }
+        this.log(`Source image ${sourceRepository}:${reference} is ${top.digest}`);
+
+        this.pushReport = [];
+        this.progress.clear();
+
+        const copyManifest = async (manifest) => {
+            const blobs = [manifest.config, ...(manifest.layers || [])];
+            blobs.forEach(blob => this.setProgress(blob.digest, { digest: blob.digest, size: blob.size }));
+            await mapLimit(blobs, this.concurrency, (blob) => this.pushBlob(repository, {
+                digest: blob.digest,
+                size: blob.size,
+                source: { client: source, repository: sourceRepository }
+            }));
+        };
+
+        if (isIndexMediaType(top.mediaType) || (!top.manifest.config && top.manifest.manifests)) {
+            this.log(`Copying ${top.manifest.manifests.length} platform manifests...`);
+            for (const entry of top.manifest.manifests) {
+                this.log(`--- Platform ${entry.platform ? platformString(entry.platform) : entry.digest.substring(0, 19)} ---`);
+                const child = await source.getManifest(sourceRepository, entry.digest);
+                if (child.digest !== entry.digest) {
+                    throw new Error(`Platform manifest ${entry.digest} came back from the source as ${child.digest}`);
+                }
+                await copyManifest(child.manifest);
+                await this.putManifest(repository, entry.digest, child);
+            }
+        } else {
+            await copyManifest(top.manifest);
+        }
+        this.logPushReport();
+
+        for (const tag of tags) {
+            const digest = await this.putManifest(repository, tag, top);
+            if (digest !== top.digest) {
+                throw new Error(`${repository}:${tag} was published as ${digest}, not the source digest ${top.digest}`);
+            }
+        }
+        return top.digest;
+    }
+
+    // Pull the tag back and check it resolves to the digest we pushed, then HEAD every
+    // blob the manifest (or each platform manifest of a list/index) references.
+    // Throws listing every problem, so a broken push never reaches the GitOps repo.
+    async verifyImage(repository, tag, expectedDigest) {
+        this.log(`Verifying ${repository}:${tag}...`);
+        const problems = [];
+
+        const top = await this.getManifest(repository, tag);
+        if (top.digest !== expectedDigest) {
+            problems.push(`${tag} resolves to ${top.digest}, expected ${expectedDigest}`);
+        }
+        if (top.registryDigest && top.registryDigest !== top.digest) {
+            problems.push(`${tag}: Docker-Content-Digest ${top.registryDigest} does not match the manifest bytes (${top.digest})`);
+        }
+
+        let manifests = [top.manifest];
+        if (isIndexMediaType(top.manifest.mediaType) || (!top.manifest.config && top.manifest.manifests)) {
+            manifests = [];
+            for (const entry of top.manifest.manifests) {
+                const child = await this.getManifest(repository, entry.digest);
+                if (child.digest !== entry.digest) {
+                    problems.push(`platform manifest ${entry.digest} came back as ${child.digest}`);
+                }
+                manifests.push(child.manifest);
+            }
+        }
+
+        const blobs = new Map();
+        manifests.forEach(m => [m.config, ...(m.layers || [])].forEach(b => blobs.set(b.digest, b)));
+
+        await mapLimit([...blobs.values()], this.concurrency, async (blob) => {
+            try {
+                const resp = await this.withRetry(`Blob check ${blob.digest.substring(0, 12)}`, () =>
+                    this.request('HEAD', `/v2/${repository}/blobs/${blob.digest}`)
+                );
+                const length = parseInt(resp.headers['content-length'], 10);
+                if (!Number.isNaN(length) && length !== blob.size) {
+                    problems.push(`blob ${blob.digest} is ${length} bytes on the registry, manifest says ${blob.size}`);
+                }
+            } catch (err) {
+                if (!err.response || err.response.status !== 404) throw err;
+                problems.push(`blob ${blob.digest} is missing`);
+            }
+        });
+
+        if (problems.length > 0) {
+            problems.forEach(p => this.log(`Verification problem: ${p}`));
+            throw new Error(`Verification of ${repository}:${tag} failed: ${problems.length} problem(s)`);
+        }
+        this.log(`Verified ${repository}:${tag} (${blobs.size} blobs present, digest ${expectedDigest})`);
+    }
+
+    // List every image in the extracted archive along with its platform.
+    // OCI indexes are flattened; attestation manifests and manifests whose blobs
+    // were not exported (other platforms in a partial `docker save`) are skipped.
+    async loadImages(tempDir) {
+        // OCI layouts carry index.json and blobs/ at the root. `docker save` v25+ writes
+        // both that and the legacy manifest.json; the OCI side keeps the original digests.
+        const indexPath = path.join(tempDir, 'index.json');
+        const manifestPath = path.join(tempDir, 'manifest.json');
+
+        if (await fs.pathExists(indexPath) && await fs.pathExists(path.join(tempDir, 'blobs'))) {
+            this.log('Detected OCI image layout.');
+            const images = [];
+            const walk = async (descriptors = []) => {
+                for (const descriptor of descriptors) {
+                    const blobPath = ociBlobPath(tempDir, descriptor.digest);
+                    if (!await fs.pathExists(blobPath)) {
+                        this.log(`Skipping ${descriptor.digest.substring(0, 19)}: not included in the archive.`);
+                        continue;
+                    }
+                    if (isIndexMediaType(descriptor.mediaType)) {
+                        await walk((await fs.readJson(blobPath)).manifests);
+                        continue;
+                    }
+                    const annotations = descriptor.annotations || {};
+                    if (annotations['vnd.docker.reference.type'] === 'attestation-manifest') continue;
+
+                    let platform = descriptor.platform;
+                    if (!platform) {
+                        const manifest = await fs.readJson(blobPath);
+                        platform = platformOf(await fs.readJson(ociBlobPath(tempDir, manifest.config.digest)));
+                    }
+                    images.push({ format: 'oci', descriptor, platform });
+                }
+            };
+            await walk((await fs.readJson(indexPath)).manifests);
+            return images;
+        }
+
+        if (await fs.pathExists(manifestPath)) {
+            // manifest.json is an array with one entry per saved image
+            const manifestJson = await fs.readJson(manifestPath);
+            const images = [];
+            for (const meta of manifestJson) {
+                const config = await fs.readJson(path.join(tempDir, meta.Config));
+                images.push({ format: 'docker', meta, platform: platformOf(config) });
+            }
+            return images;
+        }
+
+        throw new Error('Neither manifest.json nor an OCI index.json found in tarball. Is this a valid docker save archive?');
+    }
+
+    async pushImage(tempDir, image, repository) {
+        return image.format === 'oci'
+            ? this.pushOciImage(tempDir, image.descriptor, repository)
+            : this.pushDockerImage(tempDir, image.meta, repository);
+    }
+
+    // Push every image and return the manifest the tags should point at:
+    // the image manifest itself, or a list/index over the platform variants.
+    async pushImages(tempDir, images, repository) {
+        if (images.length === 1) {
+            return this.pushImage(tempDir, images[0], repository);
+        }
+
+        // Several images: they must be platform variants of the same tag
+        const seen = new Set();
+        for (const image of images) {
+            const platform = platformString(image.platform);
+            if (seen.has(platform)) {
+                throw new Error(`Archive contains more than one image for ${platform}; cannot publish them under one tag`);
+            }
+            seen.add(platform);
+        }
+        this.log(`Found ${images.length} platform images: ${[...seen].join(', ')}`);
+
+        // Push each per-platform manifest by digest, then the list that references them
+        const entries = [];
+        for (const image of images) {
+            this.log(`--- Platform ${platformString(image.platform)} ---`);
+            const manifest = await this.pushImage(tempDir, image, repository);
+            const digest = await this.putManifest(repository, manifestDigest(manifest.data), manifest);
+            entries.push({
+                mediaType: manifest.mediaType,
+                size: Buffer.byteLength(manifest.data),
+                digest,
+                platform: image.platform
+            });
+        }
+
+        // Docker sources get a Docker manifest list, OCI sources an OCI image index
+        const listMediaType = images[0].format === 'oci' ? MEDIA_TYPE_OCI_INDEX : MEDIA_TYPE_DOCKER_MANIFEST_LIST;
+        const list = {
+            schemaVersion: 2,
+            mediaType: listMediaType,
+            manifests: entries
+        };
+
+        this.log(`Publishing ${listMediaType === MEDIA_TYPE_OCI_INDEX ? 'OCI image index' : 'manifest list'} for ${entries.length} platforms...`);
+        return { mediaType: listMediaType, data: JSON.stringify(list, null, 2) };
+    }
+
+    // Push the archive once and point every given tag at it. Blobs are uploaded
+    // a single time no matter how many tags are published. Returns the manifest digest.
+    async pushTarball(tarPath, repository, tags) {
+        tags = [...new Set([].concat(tags).filter(Boolean))];
+        if (tags.length === 0) {
+            throw new Error('At least one tag is required');
+        }
+
+        const tempDir = await this.extractArchive(tarPath);
+
+        try {
+            const images = await this.loadImages(tempDir);
+            if (images.length === 0) {
+                throw new Error('No images found in the archive');
+            }
+
+            this.pushReport = [];
+            this.progress.clear();
+            const manifest = await this.pushImages(tempDir, images, repository);
+            this.logPushReport();
+
+            let digest = null;
+            for (const tag of tags) {
+                digest = await this.putManifest(repository, tag, manifest);
+            }
+            return digest;
+        } finally {
+            // Cleanup
+            await fs.remove(tempDir);
+        }
+    }
+
+    // Read the tags an archive was saved with (RepoTags in manifest.json, or the
+    // ref.name / containerd image name annotations in an OCI index.json) without
+    // extracting the layers to disk.
+    async readArchiveTags(tarPath) {
+        const tags = new Set();
+        const extract = tar.extract();
+
+        await new Promise((resolve, reject) => {
+            extract.on('entry', (header, stream, next) => {
+                if (header.name !== 'manifest.json' && header.name !== 'index.json') {
+                    stream.on('end', next);
+                    stream.resume();
+                    return;
+                }
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('end', () => {
+                    try {
+                        const json = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                        if (header.name === 'manifest.json') {
+                            json.forEach(meta => (meta.RepoTags || []).forEach(ref => tags.add(tagOf(ref))));
+                        } else {
+                            (json.manifests || []).forEach(({ annotations = {} }) => {
+                                tags.add(tagOf(annotations['io.containerd.image.name'] || ''));
+                                tags.add(tagOf(annotations['org.opencontainers.image.ref.name'] || ''));
+                            });
+                        }
+                    } catch (err) {
+                        this.log(`Warning: could not parse ${header.name}: ${err.message}`);
+                    }
+                    next();
+                });
+            });
+
+            extract.on('finish', resolve);
+            extract.on('error', reject);
+            fs.createReadStream(tarPath).on('error', reject).pipe(extract);
+        });
+
+        tags.delete(null);
+        return [...tags];
     }
 }
 
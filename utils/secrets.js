@@ -0,0 +1,247 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { SECRET_KEYS } = require('./environments');
+
+// Encrypted storage for the credentials of each environment (git password, API token, registry
+// password). They live in secrets.json next to config.json, never in config.json itself, and
+// only the main process reads them: the renderer gets the config without them and learns only
+// which ones are set. secrets.json holds one of:
+//
+//   { scheme: "safeStorage", data }                      OS keychain via Electron safeStorage
+//   { scheme: "master-password", salt, iv, tag, data }   AES-256-GCM, key derived with scrypt
+//
+// plus keys, { "<environment>": ["password", ...] } in the clear, so a locked store still knows
+// which environments have credentials (and which can deploy without unlocking).
+// The master password scheme is used when safeStorage has no real backend (Linux without a
+// keyring falls back to "basic_text", which is not encryption). Decrypted, data is
+// { "<environment>": { password, git_api_token, reg_password } }.
+
+const SCHEME_SAFE_STORAGE = 'safeStorage';
+const SCHEME_MASTER_PASSWORD = 'master-password';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function safeStorageAvailable(safeStorage) {
+    if (!safeStorage || !safeStorage.isEncryptionAvailable()) return false;
+    return !(process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function' &&
+        safeStorage.getSelectedStorageBackend() === 'basic_text');
+}
+
+function deriveKey(masterPassword, salt) {
+    return crypto.scryptSync(masterPassword, salt, 32, SCRYPT_OPTIONS);
+}
+
+class SecretStore {
+    constructor(file, safeStorage) {
+        this.file = file;
+        this.safeStorage = safeStorage;
+        this.loaded = false;
+        this.stored = null; // contents of secrets.json
+        this.secrets = null; // decrypted, null while locked
+        this.key = null; // master password key and salt, kept to re-encrypt on save
+        this.pending = {}; // found in config.json while locked, stored on unlock
+        this.legacy = {}; // the part of pending read from config.json, which must stay there until then
+        this.loadError = null;
+    }
+
+    // Read secrets.json once. safeStorage files are decrypted right away; a master password
+    // file stays locked until unlock(). A file that cannot be read keeps the store locked and
+    // its error is what deploys report.
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        try {
+            this.read();
+        } catch (err) {
+            this.loadError = err;
+            this.secrets = null;
+        }
+    }
+
+    read() {
+        if (!fs.existsSync(this.file)) {
+            this.scheme = safeStorageAvailable(this.safeStorage) ? SCHEME_SAFE_STORAGE : SCHEME_MASTER_PASSWORD;
+            if (this.scheme === SCHEME_SAFE_STORAGE) this.secrets = {};
+            return;
+        }
+
+        this.stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        this.scheme = this.stored.scheme;
+        if (this.scheme === SCHEME_SAFE_STORAGE) {
+            if (!safeStorageAvailable(this.safeStorage)) {
+                throw new Error('Stored credentials are encrypted with the OS keychain, which is not available');
+            }
+            this.secrets = JSON.parse(this.safeStorage.decryptString(Buffer.from(this.stored.data, 'base64')));
+        } else if (this.scheme !== SCHEME_MASTER_PASSWORD) {
+            throw new Error(`Unknown credential storage scheme '${this.scheme}' in ${this.file}`);
+        }
+    }
+
+    // { scheme, locked, initialized, error }; initialized is false until a master password was chosen
+    status() {
+        this.load();
+        return {
+            scheme: this.scheme,
+            locked: this.secrets === null,
+            initialized: this.stored !== null || this.scheme === SCHEME_SAFE_STORAGE,
+            error: this.loadError ? this.loadError.message : null
+        };
+    }
+
+    // Open a master password file, or choose the master password if there is none yet
+    unlock(masterPassword) {
+        this.load();
+        if (this.loadError) throw this.loadError;
+        if (this.secrets !== null) return;
+        if (!masterPassword) {
+            throw new Error('Master password required');
+        }
+
+        if (!this.stored) {
+            const salt = crypto.randomBytes(16);
+            this.key = { key: deriveKey(masterPassword, salt), salt };
+            this.secrets = {};
+        } else {
+            const salt = Buffer.from(this.stored.salt, 'base64');
+            const key = deriveKey(masterPassword, salt);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(this.stored.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(this.stored.tag, 'base64'));
+            let plain;
+            try {
+                plain = Buffer.concat([decipher.update(Buffer.from(this.stored.data, 'base64')), decipher.final()]);
+            } catch (err) {
+                throw new Error('Wrong master password');
+            }
+            this.key = { key, salt };
+            this.secrets = JSON.parse(plain.toString('utf8'));
+        }
+
+        this.merge(this.pending);
+        this.pending = {};
+        this.legacy = {};
+        this.save();
+    }
+
+    requireUnlocked() {
+        this.load();
+        if (this.loadError) throw this.loadError;
+        if (this.secrets === null) {
+            throw new Error('Stored credentials are locked; enter the master password first');
+        }
+    }
+
+    merge(found) {
+        Object.entries(found).forEach(([name, values]) => {
+            this.secrets[name] = { ...this.secrets[name], ...values };
+        });
+    }
+
+    // Pull the credentials out of a config (in place). Non-empty values are new or changed and
+    // are kept; empty ones mean "unchanged", since the renderer never has the stored value.
+    // Returns true if any were found. While locked they wait in memory for unlock(); legacy
+    // marks them as read from config.json, where keepLegacy() puts them back on every save.
+    take(config, { legacy = false } = {}) {
+        this.load();
+        const found = {};
+        Object.entries(config.environments || {}).forEach(([name, environment]) => {
+            SECRET_KEYS.forEach(key => {
+                if (typeof environment[key] === 'string' && environment[key] !== '') {
+                    (found[name] = found[name] || {})[key] = environment[key];
+                }
+                delete environment[key];
+            });
+            delete environment.stored_secrets;
+        });
+
+        if (this.secrets === null) {
+            Object.entries(found).forEach(([name, values]) => {
+                this.pending[name] = { ...this.pending[name], ...values };
+                if (legacy) this.legacy[name] = { ...this.legacy[name], ...values };
+            });
+        } else {
+            this.merge(found);
+            // Credentials of deleted environments go with them
+            Object.keys(this.secrets).forEach(name => {
+                if (!(config.environments || {})[name]) delete this.secrets[name];
+            });
+        }
+        return Object.keys(found).length > 0;
+    }
+
+    // Plain-text credentials of an older config.json go into the secret store on unlock. Until
+    // then a config about to be written keeps them, or quitting while locked would lose them.
+    keepLegacy(config) {
+        if (this.secrets !== null) return;
+        Object.entries(this.legacy).forEach(([name, values]) => {
+            const environment = (config.environments || {})[name];
+            if (environment) Object.assign(environment, values);
+        });
+    }
+
+    // Whether an environment has credentials stored or waiting for unlock. A locked file that
+    // predates the keys index could hold some for any environment.
+    hasCredentials(name) {
+        if (this.loadError || this.pending[name]) return true;
+        if (this.secrets !== null) return SECRET_KEYS.some(key => (this.secrets[name] || {})[key]);
+        if (!this.stored) return false;
+        if (!this.stored.keys) return true;
+        return (this.stored.keys[name] || []).length > 0;
+    }
+
+    // Copy of the config with one environment's credentials filled in, for deploy code. Only
+    // an environment that has credentials needs the store unlocked.
+    apply(config, name) {
+        this.load();
+        const environment = (config.environments || {})[name];
+        if (!environment) return config;
+        let values = {};
+        if (this.hasCredentials(name)) {
+            this.requireUnlocked();
+            values = this.secrets[name] || {};
+        }
+        const copy = { ...environment };
+        SECRET_KEYS.forEach(key => { copy[key] = values[key] || ''; });
+        delete copy.stored_secrets;
+        return { ...config, environments: { ...config.environments, [name]: copy } };
+    }
+
+    // { "<environment>": ["password", ...] }: which credentials are set, for the renderer
+    storedKeys() {
+        const keys = {};
+        if (this.secrets !== null) {
+            Object.entries(this.secrets).forEach(([name, values]) => {
+                keys[name] = SECRET_KEYS.filter(key => values && values[key]);
+            });
+        } else if (this.stored && this.stored.keys) {
+            Object.assign(keys, this.stored.keys);
+        }
+        Object.entries(this.pending).forEach(([name, values]) => {
+            keys[name] = SECRET_KEYS.filter(key => (keys[name] || []).includes(key) || values[key]);
+        });
+        return keys;
+    }
+
+    save() {
+        this.requireUnlocked();
+        const plain = JSON.stringify(this.secrets);
+        if (this.scheme === SCHEME_SAFE_STORAGE) {
+            this.stored = { scheme: SCHEME_SAFE_STORAGE, data: this.safeStorage.encryptString(plain).toString('base64') };
+        } else {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', this.key.key, iv);
+            const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+            this.stored = {
+                scheme: SCHEME_MASTER_PASSWORD,
+                salt: this.key.salt.toString('base64'),
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64'),
+                data: data.toString('base64')
+            };
+        }
+        this.stored.keys = this.storedKeys();
+        // Written to a temp file first so a crash never leaves half a secrets file
+        fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.stored, null, 2), { mode: 0o600 });
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+}
+
+module.exports = SecretStore;
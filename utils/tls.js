@@ -0,0 +1,54 @@
+const fs = require('fs');
+const https = require('https');
+const tls = require('tls');
+
+// Host (with port) of a registry reference or URL:
+// "harbor:80/sth/sth-api" -> "harbor:80", "https://git.local/group/repo.git" -> "git.local",
+// "git@git.local:group/repo.git" -> "git.local"
+function hostOf(ref) {
+    const scp = (ref || '').match(/^[\w.-]+@([^:/]+):(?!\/\/)/);
+    if (scp) return scp[1];
+    return (ref || '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/^[^@/]*@/, '').split('/')[0];
+}
+
+// TLS settings for a host from the config:
+//   registries: { "<host>": { scheme, ca_file, cert_file, key_file } }
+//   insecure_registries: ["<host>", ...]
+// HTTPS is the default. Hosts on the insecure list default to plain HTTP, and when they
+// are reached over HTTPS anyway their certificate is not verified.
+function hostSettings(config, host) {
+    const settings = (config.registries || {})[host] || {};
+    const insecure = (config.insecure_registries || []).includes(host);
+    return {
+        ...settings,
+        insecure,
+        scheme: settings.scheme || (insecure ? 'http' : 'https')
+    };
+}
+
+// TLS options carrying the custom CA bundle and mTLS client certificate, or undefined
+// when the host needs nothing beyond the system trust store.
+function tlsOptions(settings) {
+    const { ca_file: caFile, cert_file: certFile, key_file: keyFile, insecure } = settings;
+    if (!caFile && !certFile && !keyFile && !insecure) return undefined;
+
+    if (!!certFile !== !!keyFile) {
+        throw new Error('Client certificate and key must be configured together for mTLS');
+    }
+
+    return {
+        // Our internal CA is added to, not instead of, the public roots
+        ca: caFile ? [...tls.rootCertificates, fs.readFileSync(caFile, 'utf8')] : undefined,
+        cert: certFile ? fs.readFileSync(certFile) : undefined,
+        key: keyFile ? fs.readFileSync(keyFile) : undefined,
+        rejectUnauthorized: !insecure
+    };
+}
+
+// https.Agent with the host's TLS options, or undefined when it needs none
+function createAgent(settings) {
+    const options = tlsOptions(settings);
+    return options ? new https.Agent({ keepAlive: true, ...options }) : undefined;
+}
+
+module.exports = { hostOf, hostSettings, createAgent, tlsOptions };
@@ -0,0 +1,80 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// One store per file: every RegistryClient in the process (parallel deploys, the
+// services of a release) shares it, so all writes to that file queue on one chain
+const stores = new Map();
+
+// Sessions not touched for this long are dropped: the upload was abandoned, and registries
+// purge their side of it by then anyway (the reference registry after 7 days by default)
+const MAX_SESSION_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// Persists in-flight blob upload sessions so a restarted deploy can resume
+// the same registry session instead of starting the layer from byte zero.
+class UploadSessionStore {
+    static forFile(filePath) {
+        const resolved = path.resolve(filePath);
+        if (!stores.has(resolved)) stores.set(resolved, new UploadSessionStore(resolved));
+        return stores.get(resolved);
+    }
+
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writing = Promise.resolve();
+    }
+
+    static key(registryUrl, repository, digest) {
+        return `${registryUrl}/${repository}@${digest}`;
+    }
+
+    // Sessions on disk, without the expired ones; the next write leaves those out of the file
+    async load() {
+        let sessions;
+        try {
+            sessions = await fs.readJson(this.filePath);
+        } catch (err) {
+            // Missing or corrupt state just means nothing to resume
+            return {};
+        }
+        const oldest = Date.now() - MAX_SESSION_AGE;
+        Object.entries(sessions).forEach(([key, session]) => {
+            if (!(Date.parse(session && session.updatedAt) >= oldest)) delete sessions[key];
+        });
+        return sessions;
+    }
+
+    async get(key) {
+        await this.writing.catch(() => {});
+        const sessions = await this.load();
+        return sessions[key] || null;
+    }
+
+    set(key, session) {
+        return this.update(sessions => {
+            sessions[key] = { ...session, updatedAt: new Date().toISOString() };
+        });
+    }
+
+    delete(key) {
+        return this.update(sessions => {
+            if (!sessions[key]) return false;
+            delete sessions[key];
+        });
+    }
+
+    // Updates are chained and each one is applied to what is on disk at that moment, so
+    // concurrent uploads never drop each other's sessions. The file is written next to
+    // the target and renamed over it, so a crash mid-write cannot leave half a file.
+    update(change) {
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            const sessions = await this.load();
+            if (change(sessions) === false) return;
+            await fs.ensureDir(path.dirname(this.filePath));
+            await fs.writeJson(`${this.filePath}.tmp`, sessions, { spaces: 2 });
+            await fs.rename(`${this.filePath}.tmp`, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+module.exports = UploadSessionStore;